@@ -13,24 +13,42 @@
  * Counter for generating unique row IDs
  */
 
-const STORAGE_SCHEMA_VERSION = 1;
+// Bump together with a new step in STORAGE_MIGRATIONS
+const STORAGE_SCHEMA_VERSION = 4;
 
-// Scoreboard for two teams (persistent, minimal UI)
+// Scoreboard for any number of teams (persistent, minimal UI)
 // Add to your main JS file and call initScoreboard() inside DOMContentLoaded.
 
 const SCORE_STORAGE_KEY = 'gameNightScores';
 
-let scoreboardState = {
-    teamA: { name: 'Team A', score: 0 },
-    teamB: { name: 'Team B', score: 0 }
-};
+// Colours offered to new teams, in order
+const TEAM_COLORS = ['#f28c8c', '#8cc7f2', '#8bca84', '#f2c46d', '#c3a0f2', '#f2a0d4', '#7fd8d0', '#c8c8c8'];
+
+const MIN_TEAMS = 2;
+const MAX_TEAMS = 8;
+
+let scoreboardState = createDefaultScoreboard();
+
+function createDefaultScoreboard() {
+    return {
+        teams: [
+            { id: 'teamA', name: 'Team A', score: 0, color: TEAM_COLORS[0] },
+            { id: 'teamB', name: 'Team B', score: 0, color: TEAM_COLORS[1] }
+        ]
+    };
+}
+
+function findTeam(teamId) {
+    return scoreboardState.teams.find(team => team.id === teamId);
+}
 
 function loadScoresFromStorage() {
+    if (storageLocked) return;
     try {
-        const raw = localStorage.getItem(SCORE_STORAGE_KEY);
+        const raw = localStorage.getItem(playlistKey(SCORE_STORAGE_KEY));
         if (!raw) return;
         const parsed = JSON.parse(raw);
-        if (parsed && parsed.teamA && parsed.teamB) {
+        if (parsed && Array.isArray(parsed.teams) && parsed.teams.length > 0) {
             scoreboardState = parsed;
         }
     } catch (e) {
@@ -39,87 +57,108 @@ function loadScoresFromStorage() {
 }
 
 function saveScoresToStorage() {
+    if (storageLocked) return;
     try {
-        localStorage.setItem(SCORE_STORAGE_KEY, JSON.stringify(scoreboardState));
+        localStorage.setItem(playlistKey(SCORE_STORAGE_KEY), JSON.stringify(scoreboardState));
+        localStorage.setItem(playlistKey(SCHEMA_VERSION_KEY), STORAGE_SCHEMA_VERSION);
     } catch (e) {
         console.warn('Could not save scoreboard to storage:', e);
     }
+    refreshPresenterViews();
 }
 
 function renderScoreboard() {
     const container = document.getElementById('scoreboard');
     if (!container) return;
 
-    container.innerHTML = `
-    <div class="scoreboard-inner" style="display:flex;gap:12px;align-items:center; background-color:#1e2d45;">
-      <div class="team" data-team="teamA" style="text-align:center; color:#d33;">
+    const teams = scoreboardState.teams;
+    const teamsHTML = teams.map((team, index) => `
+      <div class="team" data-team="${escapeHtml(team.id)}" style="text-align:center;">
         <div>
-          <input id="teamAName" class="team-name-input" value="${escapeHtml(scoreboardState.teamA.name)}" style="width:110px;text-align:center; font-size:22px; background-color: #fcef91;" aria-label="Team A name">
+          <input class="team-name-input" data-team="${escapeHtml(team.id)}" value="${escapeHtml(team.name)}" style="width:110px;text-align:center; font-size:22px; background-color: #fcef91;" aria-label="${escapeHtml(team.name)} name">
         </div>
-        <div style="font-size:40px;font-weight:700;margin:6px 0; background:#f28c8c; color:#fff;" id="teamAScore">${scoreboardState.teamA.score}</div>
+        <div style="font-size:40px;font-weight:700;margin:6px 0; background:${escapeHtml(team.color)}; color:#fff;" data-team-score="${escapeHtml(team.id)}">${team.score}</div>
         <div style="display:flex;gap:6px;justify-content:center;">
-          <button style=" background-color: #8bca84; font-size:22px;" class="btn btn-score" data-action="inc" data-team="teamA" aria-label="Team A +1">+1</button>
-          <button style=" background-color: #f85149; font-size:22px;" class="btn btn-score" data-action="dec" data-team="teamA" aria-label="Team A -1">-1</button>
+          <button style=" background-color: #8bca84; font-size:22px;" class="btn btn-score" data-action="inc" data-team="${escapeHtml(team.id)}" aria-label="${escapeHtml(team.name)} +1">+1</button>
+          <button style=" background-color: #f85149; font-size:22px;" class="btn btn-score" data-action="dec" data-team="${escapeHtml(team.id)}" aria-label="${escapeHtml(team.name)} -1">-1</button>
+        </div>
+        <div class="team-tools">
+          <button class="btn btn-team-tool" data-action="left" data-team="${escapeHtml(team.id)}" aria-label="Move ${escapeHtml(team.name)} left" ${index === 0 ? 'disabled' : ''}>◀</button>
+          <input type="color" class="team-color-input" data-team="${escapeHtml(team.id)}" value="${escapeHtml(team.color)}" aria-label="${escapeHtml(team.name)} colour">
+          <button class="btn btn-team-tool" data-action="right" data-team="${escapeHtml(team.id)}" aria-label="Move ${escapeHtml(team.name)} right" ${index === teams.length - 1 ? 'disabled' : ''}>▶</button>
+          <button class="btn btn-team-tool" data-action="remove" data-team="${escapeHtml(team.id)}" aria-label="Remove ${escapeHtml(team.name)}" ${teams.length <= MIN_TEAMS ? 'disabled' : ''}>✕</button>
         </div>
       </div>
+    `).join('');
+
+    container.innerHTML = `
+    <div class="scoreboard-inner" style="display:flex;flex-wrap:wrap;justify-content:center;gap:12px;align-items:center; background-color:#1e2d45;">
+      ${teamsHTML}
 
       <div style="display:flex;flex-direction:column;align-items:center;">
-        <button id="swapTeamsBtn" class="btn" aria-label="Swap teams">⇄ Swap</button>
+        <button id="addTeamBtn" class="btn" aria-label="Add team" ${teams.length >= MAX_TEAMS ? 'disabled' : ''}>➕ Team</button>
+        <button id="swapTeamsBtn" class="btn" aria-label="Swap teams" style="margin-top:6px;">⇄ Swap</button>
         <button id="resetScoresBtn" class="btn" aria-label="Reset scores" style="margin-top:6px;">Reset</button>
-      </div>
-
-      <div class="team" data-team="teamB" style="text-align:center; color:#33d;">
-        <div>
-          <input id="teamBName" class="team-name-input" value="${escapeHtml(scoreboardState.teamB.name)}" style="width:110px;text-align:center; font-size:22px; background-color: #fcef91;" aria-label="Team B name">
-        </div>
-        <div style="font-size:40px;font-weight:700;margin:6px 0;background:#8cc7f2; color:#fff;" id="teamBScore">${scoreboardState.teamB.score}</div>
-        <div style="display:flex;gap:6px;justify-content:center;">
-          <button style=" background-color: #8bca84; font-size:22px;" class="btn btn-score" data-action="inc" data-team="teamB" aria-label="Team B +1">+1</button>
-          <button style=" background-color: #f85149; font-size:22px;"class="btn btn-score" data-action="dec" data-team="teamB" aria-label="Team B -1">-1</button>
+        <div style="display:flex;gap:6px;margin-top:6px;">
+          <button id="undoScoreBtn" class="btn" aria-label="Undo last score change" title="Undo (Ctrl+Z)">↶</button>
+          <button id="redoScoreBtn" class="btn" aria-label="Redo score change" title="Redo (Ctrl+Shift+Z)">↷</button>
         </div>
       </div>
     </div>
   `;
 
     // Hook buttons via delegation
-    container.querySelectorAll('.btn-score').forEach(btn => {
+    container.querySelectorAll('.btn-score, .btn-team-tool').forEach(btn => {
         btn.onclick = function () {
             const team = this.dataset.team;
             const action = this.dataset.action;
             if (action === 'inc') adjustScore(team, +1);
             if (action === 'dec') adjustScore(team, -1);
+            if (action === 'left') moveTeam(team, -1);
+            if (action === 'right') moveTeam(team, +1);
+            if (action === 'remove') removeTeam(team);
         };
     });
 
-    const teamANameInput = document.getElementById('teamAName');
-    const teamBNameInput = document.getElementById('teamBName');
+    container.querySelectorAll('.team-name-input').forEach(input => {
+        input.onchange = () => {
+            const team = findTeam(input.dataset.team);
+            team.name = input.value.trim() || team.name;
+            saveScoresToStorage();
+            renderScoreboard(); // update display (to reflect escaped name)
+        };
+    });
 
-    teamANameInput.onchange = () => {
-        scoreboardState.teamA.name = teamANameInput.value.trim() || 'Team A';
-        saveScoresToStorage();
-        renderScoreboard(); // update display (to reflect escaped name)
-    };
-    teamBNameInput.onchange = () => {
-        scoreboardState.teamB.name = teamBNameInput.value.trim() || 'Team B';
-        saveScoresToStorage();
-        renderScoreboard();
-    };
+    container.querySelectorAll('.team-color-input').forEach(input => {
+        input.onchange = () => {
+            findTeam(input.dataset.team).color = input.value;
+            saveScoresToStorage();
+            renderScoreboard();
+        };
+    });
 
-    const swapBtn = document.getElementById('swapTeamsBtn');
-    const resetBtn = document.getElementById('resetScoresBtn');
+    document.getElementById('addTeamBtn').onclick = addTeam;
+    document.getElementById('swapTeamsBtn').onclick = swapTeams;
+    document.getElementById('resetScoresBtn').onclick = () => resetScores(true);
+    document.getElementById('undoScoreBtn').onclick = undoScoreChange;
+    document.getElementById('redoScoreBtn').onclick = redoScoreChange;
 
-    swapBtn.onclick = swapTeams;
-    resetBtn.onclick = () => resetScores(true);
+    // Award buttons in the table carry the team names
+    refreshAllAwardCells();
+    renderScoreHistory();
 }
 
-function adjustScore(teamKey, delta) {
-    if (!scoreboardState[teamKey]) return;
-    scoreboardState[teamKey].score = Math.max(0, (parseInt(scoreboardState[teamKey].score, 10) || 0) + delta);
+function adjustScore(teamKey, delta, roundId = null, award = null) {
+    const team = findTeam(teamKey);
+    if (!team) return;
+    const before = parseInt(team.score, 10) || 0;
+    team.score = Math.max(0, before + delta);
+    recordScoreChange([{ teamId: team.id, delta: team.score - before }], roundId, null, award);
     saveScoresToStorage();
 
-    const el = document.getElementById(teamKey === 'teamA' ? 'teamAScore' : 'teamBScore');
+    const el = document.querySelector(`#scoreboard [data-team-score="${teamKey}"]`);
     if (el) {
-        el.textContent = scoreboardState[teamKey].score;
+        el.textContent = team.score;
 
         // Set flash color
         el.style.transition = 'background-color 0.3s';
@@ -127,7 +166,7 @@ function adjustScore(teamKey, delta) {
 
         // Revert to team color after a short delay
         setTimeout(() => {
-            el.style.backgroundColor = teamKey === 'teamA' ? '#f28c8c' : '#8cc7f2'; // normal team background
+            el.style.backgroundColor = team.color; // normal team background
         }, 400);
     }
 }
@@ -135,23 +174,67 @@ function adjustScore(teamKey, delta) {
 
 
 function resetScores(confirmBefore = false) {
-    if (confirmBefore && !confirm('Reset both team scores to 0?')) return;
-    scoreboardState.teamA.score = 0;
-    scoreboardState.teamB.score = 0;
+    if (confirmBefore && !confirm('Reset all team scores to 0?')) return;
+    const changes = scoreboardState.teams.map(team => ({ teamId: team.id, delta: -(parseInt(team.score, 10) || 0) }));
+    scoreboardState.teams.forEach(team => {
+        team.score = 0;
+    });
+    recordScoreChange(changes, null, 'Reset');
     saveScoresToStorage();
     renderScoreboard();
 }
 
+// Reverse the team order (with two teams this swaps sides)
 function swapTeams() {
-    const tmp = JSON.parse(JSON.stringify(scoreboardState.teamA));
-    scoreboardState.teamA = JSON.parse(JSON.stringify(scoreboardState.teamB));
-    scoreboardState.teamB = tmp;
+    scoreboardState.teams.reverse();
+    saveScoresToStorage();
+    renderScoreboard();
+}
+
+function addTeam() {
+    const teams = scoreboardState.teams;
+    if (teams.length >= MAX_TEAMS) return;
+
+    const usedColors = teams.map(team => team.color);
+    let id;
+    do {
+        id = `team-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+    } while (findTeam(id));
+
+    teams.push({
+        id: id,
+        name: `Team ${String.fromCharCode(65 + teams.length)}`,
+        score: 0,
+        color: TEAM_COLORS.find(color => !usedColors.includes(color)) || TEAM_COLORS[teams.length % TEAM_COLORS.length]
+    });
+    saveScoresToStorage();
+    renderScoreboard();
+}
+
+function removeTeam(teamKey) {
+    const team = findTeam(teamKey);
+    if (!team || scoreboardState.teams.length <= MIN_TEAMS) return;
+    if (team.score > 0 && !confirm(`Remove ${team.name} and their ${team.score} points?`)) return;
+
+    scoreboardState.teams.splice(scoreboardState.teams.indexOf(team), 1);
+    saveScoresToStorage();
+    renderScoreboard();
+}
+
+function moveTeam(teamKey, direction) {
+    const teams = scoreboardState.teams;
+    const index = teams.findIndex(team => team.id === teamKey);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= teams.length) return;
+
+    [teams[index], teams[target]] = [teams[target], teams[index]];
     saveScoresToStorage();
     renderScoreboard();
 }
 
 function initScoreboard() {
     loadScoresFromStorage();
+    loadScoreHistory();
     renderScoreboard();
     // Expose for quick console access
     window.scoreboard = {
@@ -159,12 +242,191 @@ function initScoreboard() {
         adjustScore,
         resetScores,
         swapTeams,
+        addTeam,
+        removeTeam,
+        moveTeam,
+        undo: undoScoreChange,
+        redo: redoScoreChange,
+        history: () => scoreHistory,
         save: saveScoresToStorage,
         load: loadScoresFromStorage,
         render: renderScoreboard
     };
 }
 
+// ==========================================
+// SCORE HISTORY (undo / redo)
+// ==========================================
+
+const SCORE_HISTORY_STORAGE_KEY = 'gameNightScoreHistory';
+const SCORE_HISTORY_LIMIT = 200;
+
+/**
+ * Every score change as an event: { time, roundId, label, changes: [{ teamId, delta }], award }
+ * A reset is one event with a change per team, so it undoes in one step.
+ * Events from awardRound()/undoAward() carry award: { before, after } (the round's
+ * award on either side), so undo/redo put the round's award back too.
+ * Round IDs are reused when the table is replaced, so events also keep the round's
+ * content key and name; an ID whose round no longer matches is treated as gone.
+ */
+let scoreHistory = { undo: [], redo: [] };
+
+function loadScoreHistory() {
+    scoreHistory = { undo: [], redo: [] };
+    if (storageLocked) return;
+    try {
+        const raw = localStorage.getItem(playlistKey(SCORE_HISTORY_STORAGE_KEY));
+        if (!raw) return;
+        const parsed = JSON.parse(raw);
+        if (parsed && Array.isArray(parsed.undo) && Array.isArray(parsed.redo)) {
+            scoreHistory = parsed;
+        }
+    } catch (e) {
+        console.warn('Could not load score history from storage:', e);
+    }
+}
+
+function saveScoreHistory() {
+    if (storageLocked) return;
+    try {
+        localStorage.setItem(playlistKey(SCORE_HISTORY_STORAGE_KEY), JSON.stringify(scoreHistory));
+    } catch (e) {
+        console.warn('Could not save score history to storage:', e);
+    }
+}
+
+/**
+ * Log a score change. A fresh change drops anything that was waiting to be redone.
+ * @param {Array} changes - [{ teamId, delta }] as actually applied
+ * @param {number|null} roundId - Round the points came from, if any
+ * @param {string|null} label - Short note such as 'Reset'
+ * @param {Object|null} award - { before, after } when the change gave or took back a round's award
+ */
+function recordScoreChange(changes, roundId = null, label = null, award = null) {
+    changes = changes.filter(change => change.delta !== 0);
+    if (changes.length === 0) return;
+
+    const entry = { time: Date.now(), roundId: roundId, label: label, changes: changes };
+    const round = roundId !== null ? roundsById[roundId] : null;
+    if (round) {
+        entry.roundKey = roundContentKey(round);
+        entry.roundName = `${round.gameIcon} ${round.gameName}`;
+    }
+    if (award) entry.award = award;
+    scoreHistory.undo.push(entry);
+    if (scoreHistory.undo.length > SCORE_HISTORY_LIMIT) {
+        scoreHistory.undo.splice(0, scoreHistory.undo.length - SCORE_HISTORY_LIMIT);
+    }
+    scoreHistory.redo = [];
+
+    saveScoreHistory();
+    renderScoreHistory();
+}
+
+/**
+ * Apply (direction 1) or revert (direction -1) the changes of a history event.
+ * Teams removed since then are skipped.
+ */
+function applyScoreChanges(changes, direction) {
+    changes.forEach(change => {
+        const team = findTeam(change.teamId);
+        if (!team) return;
+        team.score = Math.max(0, (parseInt(team.score, 10) || 0) + change.delta * direction);
+    });
+}
+
+/**
+ * The round a history event came from, if it is still in the table
+ * @param {Object} entry - History event
+ * @returns {Object|null} The round, or null if it was deleted or its ID now belongs to another round
+ */
+function findHistoryRound(entry) {
+    if (entry.roundId === null || entry.roundId === undefined) return null;
+    const round = roundsById[entry.roundId];
+    return round && entry.roundKey === roundContentKey(round) ? round : null;
+}
+
+function undoScoreChange() {
+    const entry = scoreHistory.undo.pop();
+    if (!entry) return;
+
+    applyScoreChanges(entry.changes, -1);
+    if (entry.award && findHistoryRound(entry)) setRoundAward(entry.roundId, entry.award.before);
+    scoreHistory.redo.push(entry);
+    saveScoreHistory();
+    saveScoresToStorage();
+    renderScoreboard();
+}
+
+function redoScoreChange() {
+    const entry = scoreHistory.redo.pop();
+    if (!entry) return;
+
+    applyScoreChanges(entry.changes, +1);
+    if (entry.award && findHistoryRound(entry)) setRoundAward(entry.roundId, entry.award.after);
+    scoreHistory.undo.push(entry);
+    saveScoreHistory();
+    saveScoresToStorage();
+    renderScoreboard();
+}
+
+/**
+ * Describe one history event for the log, e.g. "Lions +3 · 🎬 Guess the Movie"
+ */
+function describeScoreEvent(entry) {
+    const parts = entry.changes
+        .map(change => `${escapeHtml(getTeamName(change.teamId))} ${change.delta > 0 ? '+' : ''}${change.delta}`)
+        .join(', ');
+
+    let source = entry.label ? escapeHtml(entry.label) : '';
+    if (entry.roundId !== null && entry.roundId !== undefined) {
+        const round = findHistoryRound(entry);
+        if (round) {
+            source = `${escapeHtml(round.gameIcon)} ${escapeHtml(round.gameName)}`;
+        } else {
+            source = entry.roundName ? `${escapeHtml(entry.roundName)} (removed)` : 'Deleted round';
+        }
+    }
+
+    return source ? `${parts} · ${source}` : parts;
+}
+
+/**
+ * Redraw the history panel and the undo/redo button states
+ */
+function renderScoreHistory() {
+    const undoBtn = document.getElementById('undoScoreBtn');
+    const redoBtn = document.getElementById('redoScoreBtn');
+    if (undoBtn) undoBtn.disabled = scoreHistory.undo.length === 0;
+    if (redoBtn) redoBtn.disabled = scoreHistory.redo.length === 0;
+
+    const list = document.getElementById('scoreHistoryList');
+    const count = document.getElementById('scoreHistoryCount');
+    if (!list) return;
+
+    if (count) count.textContent = `(${scoreHistory.undo.length})`;
+
+    // Newest first; undone events stay listed until something new replaces them
+    const entries = [
+        ...scoreHistory.redo.map(entry => ({ entry, undone: true })),
+        ...scoreHistory.undo.slice().reverse().map(entry => ({ entry, undone: false }))
+    ];
+
+    if (entries.length === 0) {
+        list.innerHTML = '<li class="score-history-empty">No score changes yet</li>';
+        return;
+    }
+
+    list.innerHTML = entries
+        .map(({ entry, undone }) => `
+            <li class="${undone ? 'undone' : ''}">
+                <span class="score-history-time">${new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                <span>${describeScoreEvent(entry)}</span>
+            </li>
+        `)
+        .join('');
+}
+
 // helper escapeHtml (reuse if already defined in your app)
 function escapeHtml(str) {
     if (str === undefined || str === null) return '';
@@ -182,7 +444,6 @@ function escapeHtml(str) {
 // document.addEventListener('DOMContentLoaded', function () {
 //   ...
 //   updateProgress();
-//   postProcessPrompts && postProcessPrompts();
 //   initScoreboard();   // <--- add this line
 //   ...
 // });
@@ -209,46 +470,20 @@ function buildPromptHTML(promptText, visible = false) {
         return `
       <div class="spoiler-container">
         <button class="btn btn-reveal" onclick="toggleReveal(this)">Hide Question</button>
-        <div class="">${safe}</div>
+        <div class="" data-reveal="prompt">${safe}</div>
       </div>
     `;
     } else {
         return `
       <div class="spoiler-container">
         <button class="btn btn-reveal" onclick="toggleReveal(this)">Reveal Question</button>
-        <div class="hidden">${safe}</div>
+        <div class="hidden" data-reveal="prompt">${safe}</div>
       </div>
     `;
     }
 }
 
 
-function postProcessPrompts() {
-    document.querySelectorAll('.game-row').forEach(row => {
-        const iconEl = row.querySelector('.game-icon');
-        const isQuestion = iconEl && iconEl.textContent.trim() === '❓';
-        const cell = row.querySelector('.round-prompt');
-        if (!cell) return;
-
-        const currentHTML = (cell.innerHTML || '').trim();
-
-        // If prompt already contains reveal button or looks like HTML, leave it alone
-        if (!currentHTML) return;
-        if (currentHTML.includes('btn-reveal') || looksLikeHTML(currentHTML)) return;
-
-        // Only wrap plain text prompts when the row icon is ❓
-        if (isQuestion) {
-            const plainText = (cell.textContent || '').trim();
-            cell.innerHTML = buildPromptHTML(plainText, false); // visible by default (matches your sample)
-        }
-    });
-}
-
-function looksLikeHTML(s) {
-    return typeof s === 'string' && /<\s*\w+[^>]*>/.test(s);
-}
-
-
 let nextRowId = 6;
 
 /**
@@ -258,264 +493,1852 @@ let nextRowId = 6;
  */
 const timers = {};
 
+/**
+ * Store the round data behind each row
+ * Key: row ID (number)
+ * Value: round object (see createRound())
+ */
+const roundsById = {};
+
 /**
  * LocalStorage key for saving custom rounds
  */
 const STORAGE_KEY = 'gameNightRounds';
 
-
-// ==========================================
-// LOCAL STORAGE PERSISTENCE SYSTEM
-// Saves and loads custom rounds automatically
-// ==========================================
-
 /**
- * Save all current rounds to LocalStorage
- * Called after adding or deleting a round
+ * LocalStorage key holding the schema version of the saved rounds and scores
  */
-function saveRoundsToStorage() {
-    const rounds = [];
-    const allRows = document.querySelectorAll('.game-row');
-
-    allRows.forEach(row => {
-        const rowId = parseInt(row.dataset.rowId);
-        const gameName = row.querySelector('.game-name').textContent.trim();
-        const gameIcon = row.querySelector('.game-icon')?.textContent.trim() || '🎮';
-        const prompt = row.querySelector('.round-prompt').innerHTML;
-        const resourceCell = row.querySelector('.resource-cell').innerHTML;
-        const timerMin = parseInt(row.querySelector('.timer-min')?.value) || 0;
-        const timerSec = parseInt(row.querySelector('.timer-sec')?.value) || 0;
-        const isCompleted = row.querySelector('.done-checkbox')?.checked || false;
-
-        rounds.push({
-            id: rowId,
-            gameName: gameName.replace(gameIcon, '').trim(),
-            gameIcon: gameIcon,
-            prompt: prompt,
-            resourceHTML: resourceCell,
-            timerMin: timerMin,
-            timerSec: timerSec,
-            isCompleted: isCompleted
-        });
-    });
-
-    try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(rounds));
-        console.log('✅ Rounds saved to LocalStorage');
-    } catch (e) {
-        console.warn('Could not save to LocalStorage:', e);
-    }
-}
+const SCHEMA_VERSION_KEY = 'gameNightSchemaVersion';
 
 /**
- * Load rounds from LocalStorage and rebuild the table
- * Called on page load if stored data exists
+ * LocalStorage key holding the raw data as it was before the last migration
  */
-function loadRoundsFromStorage() {
-    try {
-        const stored = localStorage.getItem(STORAGE_KEY);
-        if (!stored) {
-            console.warn('No saved rounds found, using default HTML');
-            return false;
-        }
+const MIGRATION_SNAPSHOT_KEY = 'gameNightPreMigration';
 
-        const rounds = JSON.parse(stored);
-
-        if (!Array.isArray(rounds) || rounds.length === 0) {
-            console.warn('Stored data invalid — using HTML');
-            return false;
-        }
-
-        // Clear existing table body
-        const tableBody = document.getElementById('tableBody');
-        tableBody.innerHTML = '';
-
-        // Rebuild rows from saved data
-        let maxId = 0;
-        rounds.forEach(round => {
-            if (round.id > maxId) maxId = round.id;
-
-            // Build promptHTML:
-            // - If round.prompt already includes HTML or reveal button, use it as-is
-            // - Else if gameIcon is ❓, wrap the plain text prompt into spoiler UI (visible)
-            // - Else escape plain text to avoid injection
-            let promptHTML;
-            if (typeof round.prompt === 'string' && (round.prompt.includes('btn-reveal') || looksLikeHTML(round.prompt))) {
-                promptHTML = round.prompt;
-            } else if (round.gameIcon && round.gameIcon.trim() === '❓') {
-                promptHTML = buildPromptHTML(round.prompt || '', false);
-            } else {
-                // plain text -> escape before inserting
-                promptHTML = escapeHtml(round.prompt || '');
-            }
+/**
+ * Set when saved data could not be migrated
+ * While locked, nothing is written so the original data survives
+ */
+let storageLocked = false;
 
-            const rowHTML = `
-                <tr data-row-id="${round.id}" class="game-row ${round.isCompleted ? 'completed' : ''}">
-                    <td class="game-name">
-                        <span class="game-icon">${round.gameIcon}</span>
-                        ${escapeHtml(round.gameName)}
-                    </td>
-                    <td class="round-prompt">
-                        ${promptHTML}
-                    </td>
-                    <td class="resource-cell">
-                        ${round.resourceHTML}
-                    </td>
-                    <td class="timer-cell">
-                        <div class="timer-controls">
-                            <div class="timer-input-group">
-                                <input type="number" class="timer-input timer-min" value="${round.timerMin}" min="0" max="60" aria-label="Timer minutes">
-                                <span class="timer-label">m</span>
-                                <input type="number" class="timer-input timer-sec" value="${round.timerSec}" min="0" max="59" aria-label="Timer seconds">
-                                <span class="timer-label">s</span>
-                            </div>
-                            <div class="timer-display" id="timer-${round.id}">00:00</div>
-                            <div class="timer-buttons">
-                                <button class="btn btn-start" onclick="startTimer(${round.id})" aria-label="Start timer">▶️</button>
-                                <button class="btn btn-pause" onclick="pauseTimer(${round.id})" aria-label="Pause timer">⏸️</button>
-                                <button class="btn btn-reset" onclick="resetTimer(${round.id})" aria-label="Reset timer">🔄</button>
-                            </div>
-                        </div>
-                    </td>
-                    <td class="done-cell">
-                        <label class="checkbox-container">
-                            <input type="checkbox" class="done-checkbox" onchange="toggleDone(${round.id}, this)" ${round.isCompleted ? 'checked' : ''}>
-                            <span class="checkmark">✓</span>
-                        </label>
-                    </td>
-                    <td class="actions-cell">
-                        <button class="btn btn-move" onclick="moveRowUp(${round.id})" aria-label="Move up">⬆️</button>
-                        <button class="btn btn-move" onclick="moveRowDown(${round.id})" aria-label="Move down">⬇️</button>
-                        <button class="btn btn-delete" onclick="deleteRow(${round.id})" aria-label="Delete round">🗑️</button>
-                    </td>
-                </tr>
-            `;
-            tableBody.insertAdjacentHTML('beforeend', rowHTML);
-        });
 
-        nextRowId = maxId + 1;
-        console.log('✅ Rounds loaded from LocalStorage');
+// ==========================================
+// ROUND MODEL & RENDERER
+// Rounds are plain data; every row in the table
+// is drawn from one by buildRowHTML()
+// ==========================================
 
-        // After inserting rows, ensure any question rows with plain prompts are wrapped
-        postProcessPrompts();
+/**
+ * Resource types a round can show in the Resource column
+ */
+const RESOURCE_TYPES = ['text', 'audio', 'image', 'video', 'answer', 'choice', 'typed'];
 
-        return true;
+/**
+ * How the prompt is shown: plain text, bold text, or hidden behind a Reveal button
+ */
+const PROMPT_STYLES = ['plain', 'bold', 'spoiler'];
 
-    } catch (e) {
-        console.warn('Could not load from LocalStorage:', e);
-        return false;
-    }
+/**
+ * Build a complete round from partial fields, filling in defaults
+ * @param {Object} fields - Any subset of the round properties
+ * @returns {Object} A round with every property present
+ */
+function createRound(fields = {}) {
+    const revealed = fields.revealed || {};
+    return {
+        id: parseInt(fields.id) || 0,
+        gameName: String(fields.gameName || '').trim(),
+        gameIcon: String(fields.gameIcon || '').trim() || '🎮',
+        promptLabel: String(fields.promptLabel || '').trim(),
+        promptText: String(fields.promptText || '').trim(),
+        promptStyle: PROMPT_STYLES.includes(fields.promptStyle) ? fields.promptStyle : 'plain',
+        resourceType: RESOURCE_TYPES.includes(fields.resourceType) ? fields.resourceType : 'text',
+        resourceSrc: String(fields.resourceSrc || '').trim(),
+        answer: String(fields.answer || '').trim(),
+        revealed: {
+            prompt: revealed.prompt === true,
+            resource: revealed.resource === true,
+            answer: revealed.answer === true
+        },
+        timerMin: parseInt(fields.timerMin) || 0,
+        timerSec: parseInt(fields.timerSec) || 0,
+        isCompleted: fields.isCompleted === true,
+        timerSound: String(fields.timerSound || '').trim(),
+        clipStart: Math.max(0, parseFloat(fields.clipStart) || 0),
+        clipEnd: Math.max(0, parseFloat(fields.clipEnd) || 0),
+        mutedUntilReveal: fields.mutedUntilReveal === true,
+        ...createRevealFields(fields),
+        ...createChoiceFields(fields),
+        acceptedAnswers: Array.isArray(fields.acceptedAnswers)
+            ? fields.acceptedAnswers.map(answer => String(answer).trim()).filter(Boolean)
+            : [],
+        points: Number.isInteger(parseInt(fields.points)) ? Math.max(0, parseInt(fields.points)) : 1,
+        award: fields.award && fields.award.winner
+            ? { winner: String(fields.award.winner), points: parseInt(fields.award.points) || 0 }
+            : null
+    };
 }
 
 /**
- * Clear all saved rounds from LocalStorage
- * Useful for resetting to default state
+ * Progressive reveal settings and progress of a round, clamped to valid values
+ * @param {Object} fields - Round fields
+ * @returns {Object} { revealMode, revealSteps, revealStep, revealWithTimer }
  */
-function clearSavedRounds() {
-    if (!confirm('Clear all saved data? This will reset to the default rounds on next refresh.')) {
-        return;
-    }
-    localStorage.removeItem(STORAGE_KEY);
-    alert('Saved data cleared. Refresh the page to see default rounds.');
+function createRevealFields(fields) {
+    const steps = parseInt(fields.revealSteps) || 5;
+    const revealSteps = Math.min(MAX_REVEAL_STEPS, Math.max(MIN_REVEAL_STEPS, steps));
+    return {
+        revealMode: REVEAL_MODES.includes(fields.revealMode) ? fields.revealMode : '',
+        revealSteps: revealSteps,
+        revealStep: Math.min(revealSteps, Math.max(0, parseInt(fields.revealStep) || 0)),
+        revealWithTimer: fields.revealWithTimer === true
+    };
 }
 
-
-// ==========================================
-// TIMER SYSTEM
-// Each row has an independent timer
-// Supports both minutes AND seconds input
-// ==========================================
-
 /**
- * Get total seconds from the minutes and seconds inputs for a row
- * @param {HTMLElement} row - The table row element
- * @returns {number} Total seconds
+ * Multiple-choice options of a round without blanks, and the correct option's
+ * index in that list (-1 when it is missing or out of range)
+ * @param {Object} fields - Round fields
+ * @returns {Object} { choices, correctChoice }
  */
-function getTimerSeconds(row) {
-    const minInput = row.querySelector('.timer-min');
-    const secInput = row.querySelector('.timer-sec');
-    const minutes = parseInt(minInput.value) || 0;
-    const seconds = parseInt(secInput.value) || 0;
-    return (minutes * 60) + seconds;
+function createChoiceFields(fields) {
+    const raw = Array.isArray(fields.choices) ? fields.choices.map(choice => String(choice || '').trim()) : [];
+
+    const choices = [];
+    let correctChoice = -1;
+    raw.forEach((choice, index) => {
+        if (!choice || choices.length >= MAX_CHOICES) return;
+        if (index === fields.correctChoice) correctChoice = choices.length;
+        choices.push(choice);
+    });
+    return { choices, correctChoice };
 }
 
 /**
- * Start the timer for a specific row
- * @param {number} rowId - The ID of the row (data-row-id)
+ * Identify a round by its content, so the same round is recognised
+ * across playlists, the round bank and the play history
+ * @param {Object} round - The round
+ * @returns {string} Content key
  */
-function startTimer(rowId) {
-    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
-    if (!row) return;
-
-    const display = row.querySelector('.timer-display');
+function roundContentKey(round) {
+    return [round.resourceType, round.resourceSrc, round.promptText, round.answer]
+        .map(part => String(part || '').trim().toLowerCase())
+        .join('|');
+}
 
-    // If timer is already running, do nothing
-    if (timers[rowId] && timers[rowId].isRunning) {
-        return;
+/**
+ * Build the inner HTML of the prompt cell
+ * @param {Object} round - The round
+ * @returns {string} Safe HTML
+ */
+function buildPromptCellHTML(round) {
+    if (round.promptStyle === 'spoiler') {
+        return buildPromptHTML(round.promptText, round.revealed.prompt);
     }
-
-    // Initialize timer if not exists or was reset
-    if (!timers[rowId] || timers[rowId].remainingSeconds === 0) {
-        const totalSeconds = getTimerSeconds(row);
-        timers[rowId] = {
-            intervalId: null,
-            remainingSeconds: totalSeconds,
-            isRunning: false
-        };
+    if (round.promptStyle === 'bold') {
+        return `<strong>${escapeHtml(round.promptText)}</strong>`;
     }
-
-    // Don't start if no time set
-    if (timers[rowId].remainingSeconds <= 0) {
-        display.textContent = "Set time!";
-        return;
+    if (round.promptLabel) {
+        return `<strong>${escapeHtml(round.promptLabel)}</strong> ${escapeHtml(round.promptText)}`;
     }
-
-    // Mark row as active
-    row.classList.add('active');
-    row.classList.remove('timer-finished');
-    display.classList.add('running');
-    display.classList.remove('finished');
-
-    // Start the countdown
-    timers[rowId].isRunning = true;
-    updateTimerDisplay(rowId);
-    updateGlobalTimerDisplay();
-
-    timers[rowId].intervalId = setInterval(() => {
-        timers[rowId].remainingSeconds--;
-
-        // Update display
-        updateTimerDisplay(rowId);
-
-        // Color changes based on remaining time
-        if (timers[rowId].remainingSeconds <= 10 && timers[rowId].remainingSeconds > 0) {
-            display.classList.remove('running', 'warning');
-            display.classList.add('danger');
-        } else if (timers[rowId].remainingSeconds <= 30 && timers[rowId].remainingSeconds > 10) {
-            display.classList.remove('running', 'danger');
-            display.classList.add('warning');
-        }
-
-        // Timer finished
-        if (timers[rowId].remainingSeconds <= 0) {
-            timerFinished(rowId);
-        }
-
-        updateGlobalTimerDisplay();
-    }, 1000);
+    return escapeHtml(round.promptText);
 }
 
 /**
- * Pause the timer for a specific row
- * @param {number} rowId - The ID of the row
+ * Build the inner HTML of the resource cell
+ * @param {Object} round - The round
+ * @returns {string} Safe HTML
  */
-function pauseTimer(rowId) {
-    if (!timers[rowId]) return;
-
-    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
-    if (!row) return;
-
-    const display = row.querySelector('.timer-display');
+function buildResourceHTML(round) {
+    const src = escapeHtml(resolveMediaSrc(round.resourceSrc));
+    let html = '';
+
+    switch (round.resourceType) {
+        case 'audio':
+            html = `
+                <div class="audio-container">
+                    ${buildSnippetPlayerHTML(round)}
+                </div>
+            `;
+            break;
+        case 'image':
+            if (isProgressiveReveal(round)) {
+                html = buildProgressiveRevealHTML(round, 'thumbnail-canvas');
+                break;
+            }
+            html = `
+                <div class="spoiler-container">
+                    <button class="btn btn-reveal" onclick="toggleReveal(this)">${round.revealed.resource ? 'Hide' : 'Reveal'} Image</button>
+                    <div class="image-container ${round.revealed.resource ? '' : 'hidden'}" data-reveal="resource">
+                        <img
+                            src="${src}"
+                            alt="Round image"
+                            class="thumbnail"
+                            onclick="openImageModal(this.src, 'Round image')"
+                            onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';"
+                        >
+                        <div class="image-placeholder" style="display: none;" onclick="showImageMessage()">
+                            <span>🖼️</span>
+                            <span>${escapeHtml(round.resourceSrc) || 'No image set'}</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+            break;
+        case 'video':
+            html = `
+                <div class="video-container">
+                    <video controls class="video-player"${isClipMuted(round) ? ' muted' : ''}${buildClipAttributes(round)}>
+                        <source src="${src}${buildClipFragment(round)}" type="video/mp4">
+                        <span class="fallback-message">📹 Add video: ${escapeHtml(round.resourceSrc) || 'videos/file.mp4'}</span>
+                    </video>
+                </div>
+            `;
+            break;
+        case 'answer':
+            break;
+        case 'choice':
+            html = buildChoiceListHTML(round.choices, round.correctChoice, round.revealed.answer, round.id);
+            break;
+        case 'typed':
+            html = buildTypedAnswerHTML(round);
+            break;
+        default:
+            html = '<span class="text-only-badge">📝 Text Only</span>';
+    }
+
+    if (round.answer) {
+        html += `
+                <div class="spoiler-answer">
+                    <button class="btn btn-reveal" onclick="toggleReveal(this)">${round.revealed.answer ? 'Hide' : 'Reveal'} Answer</button>
+                    <span class="answer ${round.revealed.answer ? '' : 'hidden'}" data-reveal="answer">${escapeHtml(round.answer)}</span>
+                </div>
+            `;
+    }
+
+    return html;
+}
+
+/**
+ * Build the full table row for a round
+ * This is the only place row markup is produced
+ * @param {Object} round - The round
+ * @returns {string} HTML for one <tr>
+ */
+function buildRowHTML(round) {
+    const id = round.id;
+    return `
+        <tr data-row-id="${id}" class="game-row ${round.isCompleted ? 'completed' : ''} ${id === currentRoundId ? 'current-round' : ''} ${isPlayedRecently(round) ? 'played-recently' : ''}">
+            <td class="game-name">
+                <span class="game-icon">${escapeHtml(round.gameIcon)}</span>
+                ${escapeHtml(round.gameName)}
+                <span class="played-slot">${buildPlayedBadgeHTML(round)}</span>
+            </td>
+            <td class="round-prompt">
+                ${buildPromptCellHTML(round)}
+            </td>
+            <td class="resource-cell">
+                ${buildResourceHTML(round)}
+            </td>
+            <td class="timer-cell">
+                <div class="timer-controls">
+                    <div class="timer-input-group">
+                        <input type="number" class="timer-input timer-min" value="${round.timerMin}" min="0" max="60" aria-label="Timer minutes">
+                        <span class="timer-label">m</span>
+                        <input type="number" class="timer-input timer-sec" value="${round.timerSec}" min="0" max="59" aria-label="Timer seconds">
+                        <span class="timer-label">s</span>
+                    </div>
+                    <div class="timer-display" id="timer-${id}">00:00</div>
+                    <div class="timer-buttons">
+                        <button class="btn btn-start" onclick="startTimer(${id})" aria-label="Start timer">▶️</button>
+                        <button class="btn btn-pause" onclick="pauseTimer(${id})" aria-label="Pause timer">⏸️</button>
+                        <button class="btn btn-reset" onclick="resetTimer(${id})" aria-label="Reset timer">🔄</button>
+                    </div>
+                </div>
+            </td>
+            <td class="award-cell">
+                ${buildAwardHTML(round)}
+            </td>
+            <td class="done-cell">
+                <label class="checkbox-container">
+                    <input type="checkbox" class="done-checkbox" onchange="toggleDone(${id}, this)" ${round.isCompleted ? 'checked' : ''}>
+                    <span class="checkmark">✓</span>
+                </label>
+            </td>
+            <td class="actions-cell">
+                <button class="btn btn-move btn-drag" onpointerdown="startRowDrag(event, ${id})"
+                    onkeydown="handleDragKey(event, ${id})" onblur="handleDragBlur(${id})"
+                    aria-label="Reorder round: drag, or press Enter to pick up and use the arrow keys">⠿</button>
+                <button class="btn btn-move" onclick="moveRowUp(${id})" aria-label="Move up">⬆️</button>
+                <button class="btn btn-move" onclick="moveRowDown(${id})" aria-label="Move down">⬇️</button>
+                <button class="btn btn-edit" onclick="editRound(${id})" aria-label="Edit round">✏️</button>
+                <button class="btn btn-stage" onclick="openStageView(${id})" aria-label="Present round on stage">🖥️</button>
+                <button class="btn btn-delete" onclick="deleteRow(${id})" aria-label="Delete round">🗑️</button>
+            </td>
+        </tr>
+    `;
+}
+
+/**
+ * Convert a v1/v2 round (prompt and resource saved as innerHTML) into a structured round
+ * The markup is parsed in an inert template, never inserted into the page
+ * @param {Object} legacy - { id, gameName, gameIcon, prompt, resourceHTML, timerMin, timerSec, isCompleted }
+ * @returns {Object} A structured round
+ */
+function parseLegacyRound(legacy) {
+    const fields = {
+        id: legacy.id,
+        gameName: legacy.gameName,
+        gameIcon: legacy.gameIcon,
+        timerMin: legacy.timerMin,
+        timerSec: legacy.timerSec,
+        isCompleted: legacy.isCompleted === true,
+        revealed: {}
+    };
+
+    // ----- Prompt -----
+    const prompt = parseHTMLFragment(legacy.prompt);
+    const promptSpoiler = prompt.querySelector('.spoiler-container');
+    const firstChild = prompt.firstElementChild;
+    const promptText = collapseWhitespace(prompt.textContent);
+
+    if (promptSpoiler) {
+        const content = promptSpoiler.querySelector('.btn-reveal + *');
+        fields.promptStyle = 'spoiler';
+        fields.promptText = collapseWhitespace(content ? content.textContent : promptSpoiler.textContent);
+        fields.revealed.prompt = !!content && !content.classList.contains('hidden');
+    } else if (firstChild && firstChild.tagName === 'STRONG') {
+        const strongText = collapseWhitespace(firstChild.textContent);
+        if (strongText === promptText) {
+            fields.promptStyle = 'bold';
+            fields.promptText = strongText;
+        } else {
+            fields.promptLabel = strongText;
+            firstChild.remove();
+            fields.promptText = collapseWhitespace(prompt.textContent);
+        }
+    } else if (fields.gameIcon === '❓') {
+        // Plain question prompts were always wrapped in the spoiler UI on load
+        fields.promptStyle = 'spoiler';
+        fields.promptText = promptText;
+    } else {
+        fields.promptText = promptText;
+    }
+
+    // ----- Resource -----
+    const resource = parseHTMLFragment(legacy.resourceHTML);
+    const media = resource.querySelector('audio, video, img');
+
+    if (media) {
+        const tag = media.tagName.toLowerCase();
+        const source = media.querySelector('source');
+        fields.resourceType = tag === 'img' ? 'image' : tag;
+        fields.resourceSrc = media.getAttribute('src') || (source && source.getAttribute('src')) || '';
+        if (tag === 'img') {
+            const container = media.closest('.image-container');
+            fields.revealed.resource = !(container && container.classList.contains('hidden'));
+        }
+    }
+
+    const answerEl = resource.querySelector('.answer');
+    if (answerEl) {
+        fields.answer = collapseWhitespace(answerEl.textContent);
+        fields.revealed.answer = !answerEl.classList.contains('hidden');
+        if (!media) fields.resourceType = 'answer';
+    }
+
+    return createRound(fields);
+}
+
+/**
+ * Parse an HTML string into an inert fragment (scripts and handlers never run)
+ * @param {string} html - The markup
+ * @returns {DocumentFragment} The parsed content
+ */
+function parseHTMLFragment(html) {
+    const template = document.createElement('template');
+    template.innerHTML = String(html || '');
+    return template.content;
+}
+
+/**
+ * Collapse runs of whitespace to single spaces and trim
+ * @param {string} text - The text
+ * @returns {string} The tidied text
+ */
+function collapseWhitespace(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Read a row that has no round data (the default rows in index.html) into a structured round
+ * @param {HTMLElement} row - The table row element
+ * @returns {Object} A structured round
+ */
+function parseRoundFromRow(row) {
+    const gameIcon = row.querySelector('.game-icon')?.textContent.trim() || '🎮';
+    return parseLegacyRound({
+        id: parseInt(row.dataset.rowId),
+        gameName: row.querySelector('.game-name').textContent.replace(gameIcon, '').trim(),
+        gameIcon: gameIcon,
+        prompt: row.querySelector('.round-prompt').innerHTML,
+        resourceHTML: row.querySelector('.resource-cell').innerHTML,
+        timerMin: parseInt(row.querySelector('.timer-min')?.value) || 0,
+        timerSec: parseInt(row.querySelector('.timer-sec')?.value) || 0,
+        isCompleted: row.querySelector('.done-checkbox')?.checked || false
+    });
+}
+
+/**
+ * Check whether a revealable part of a row is currently shown
+ * @param {HTMLElement} row - The table row element
+ * @param {string} part - 'prompt', 'resource' or 'answer'
+ * @param {boolean} fallback - Value to use when the row has no such part
+ * @returns {boolean} True if the part is visible
+ */
+function isPartRevealed(row, part, fallback) {
+    const el = row.querySelector(`[data-reveal="${part}"]`);
+    return el ? !el.classList.contains('hidden') : fallback;
+}
+
+
+// ==========================================
+// LOCAL STORAGE PERSISTENCE SYSTEM
+// Saves and loads custom rounds automatically
+// ==========================================
+
+/**
+ * Read every row in the table into a round object
+ * Live state (timer inputs, done checkbox, revealed parts) is taken from the row
+ * @returns {Array<Object>} Rounds in table order
+ */
+function collectRoundsFromTable() {
+    const rounds = [];
+    const allRows = document.querySelectorAll('.game-row');
+
+    allRows.forEach(row => {
+        rounds.push(readRoundFromRow(row));
+    });
+
+    return rounds;
+}
+
+/**
+ * Read one row into a round object, taking live state from the row
+ * @param {HTMLElement} row - The table row element
+ * @returns {Object} The round (also stored in roundsById)
+ */
+function readRoundFromRow(row) {
+    const rowId = parseInt(row.dataset.rowId);
+    const saved = roundsById[rowId] || parseRoundFromRow(row);
+
+    const round = createRound({
+        ...saved,
+        timerMin: parseInt(row.querySelector('.timer-min')?.value) || 0,
+        timerSec: parseInt(row.querySelector('.timer-sec')?.value) || 0,
+        isCompleted: row.querySelector('.done-checkbox')?.checked || false,
+        points: row.querySelector('.points-input') ? row.querySelector('.points-input').value : saved.points,
+        revealed: {
+            prompt: isPartRevealed(row, 'prompt', saved.revealed.prompt),
+            resource: isPartRevealed(row, 'resource', saved.revealed.resource),
+            answer: isPartRevealed(row, 'answer', saved.revealed.answer)
+        }
+    });
+
+    roundsById[rowId] = round;
+    return round;
+}
+
+/**
+ * Save all current rounds to LocalStorage
+ * Called after adding or deleting a round
+ */
+function saveRoundsToStorage() {
+    refreshPresenterViews();
+
+    if (storageLocked) {
+        console.warn('Saved data is locked after a failed migration — not saving');
+        return;
+    }
+
+    const rounds = collectRoundsFromTable();
+
+    try {
+        localStorage.setItem(playlistKey(STORAGE_KEY), JSON.stringify(rounds));
+        localStorage.setItem(playlistKey(SCHEMA_VERSION_KEY), STORAGE_SCHEMA_VERSION);
+        console.log('✅ Rounds saved to LocalStorage');
+    } catch (e) {
+        console.warn('Could not save to LocalStorage:', e);
+    }
+}
+
+/**
+ * Load rounds from LocalStorage and rebuild the table
+ * Called on page load if stored data exists
+ */
+function loadRoundsFromStorage() {
+    if (storageLocked) return false;
+    try {
+        const stored = localStorage.getItem(playlistKey(STORAGE_KEY));
+        if (stored === null) {
+            console.warn('No saved rounds found, using default HTML');
+            return false;
+        }
+
+        // A saved empty playlist stays empty rather than getting the default rows
+        const rounds = stored.trim() ? JSON.parse(stored) : [];
+
+        if (!Array.isArray(rounds)) {
+            console.warn('Stored data invalid — using HTML');
+            return false;
+        }
+
+        renderRoundsIntoTable(rounds);
+        console.log('✅ Rounds loaded from LocalStorage');
+        return true;
+
+    } catch (e) {
+        console.warn('Could not load from LocalStorage:', e);
+        return false;
+    }
+}
+
+/**
+ * Rebuild the table body from an array of saved rounds
+ * Also moves nextRowId past the highest round ID
+ * @param {Array<Object>} rounds - Rounds in the shape written by saveRoundsToStorage()
+ */
+function renderRoundsIntoTable(rounds) {
+    // The show's row may be gone (or its ID reused by another round)
+    stopShow();
+
+    // Clear existing table body and round data
+    const tableBody = document.getElementById('tableBody');
+    tableBody.innerHTML = '';
+    Object.keys(roundsById).forEach(id => delete roundsById[id]);
+
+    // Rebuild rows from saved data
+    let maxId = 0;
+    rounds.forEach(saved => {
+        const round = createRound(saved);
+        if (round.id > maxId) maxId = round.id;
+
+        roundsById[round.id] = round;
+        tableBody.insertAdjacentHTML('beforeend', buildRowHTML(round));
+    });
+
+    nextRowId = maxId + 1;
+    currentRoundId = null;
+    regroupRows();
+}
+
+/**
+ * Clear all saved rounds from LocalStorage
+ * Useful for resetting to default state
+ */
+function clearSavedRounds() {
+    if (!confirm('Clear all saved data? This will reset to the default rounds on next refresh.')) {
+        return;
+    }
+    localStorage.removeItem(playlistKey(STORAGE_KEY));
+    alert('Saved data cleared. Refresh the page to see default rounds.');
+}
+
+
+// ==========================================
+// SCHEMA MIGRATIONS
+// Upgrades saved rounds and scores written by
+// older versions of the hub, one step at a time
+// ==========================================
+
+/**
+ * Ordered upgrade steps
+ * Each step takes { rounds, scores } at (version - 1) and returns it at (version).
+ * scores may be null when nothing was saved for them.
+ */
+const STORAGE_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Trim padded markup and normalise round fields',
+        migrate(data) {
+            const rounds = data.rounds.map(round => ({
+                ...round,
+                id: parseInt(round.id) || 0,
+                gameIcon: round.gameIcon || '🎮',
+                prompt: collapseBlankLines(round.prompt),
+                resourceHTML: collapseBlankLines(round.resourceHTML),
+                timerMin: parseInt(round.timerMin) || 0,
+                timerSec: parseInt(round.timerSec) || 0,
+                isCompleted: round.isCompleted === true
+            }));
+
+            let scores = data.scores;
+            if (scores) {
+                ['teamA', 'teamB'].forEach(key => {
+                    if (scores[key]) scores[key].score = parseInt(scores[key].score) || 0;
+                });
+            }
+
+            return { rounds, scores };
+        }
+    },
+    {
+        version: 3,
+        description: 'Replace saved prompt/resource HTML with structured rounds',
+        migrate(data) {
+            return {
+                rounds: data.rounds.map(parseLegacyRound),
+                scores: data.scores
+            };
+        }
+    },
+    {
+        version: 4,
+        description: 'Turn the two-team scoreboard into a team list',
+        migrate(data) {
+            const old = data.scores;
+            if (!old || Array.isArray(old.teams)) return data;
+
+            // Keep the teamA/teamB keys as IDs so round awards still point at them
+            const teams = ['teamA', 'teamB']
+                .filter(key => old[key])
+                .map((key, index) => ({
+                    id: key,
+                    name: String(old[key].name || `Team ${key.slice(-1)}`),
+                    score: parseInt(old[key].score) || 0,
+                    color: TEAM_COLORS[index]
+                }));
+
+            return { rounds: data.rounds, scores: { teams } };
+        }
+    }
+];
+
+/**
+ * Trim a saved HTML string and drop the whitespace-only lines
+ * that piled up from repeated save/load cycles
+ * @param {string} html - The saved markup
+ * @returns {string} The cleaned markup
+ */
+function collapseBlankLines(html) {
+    return String(html || '')
+        .split('\n')
+        .filter(line => line.trim() !== '')
+        .join('\n')
+        .trim();
+}
+
+/**
+ * Run every migration step newer than fromVersion
+ * @param {Object} data - { rounds, scores } in the fromVersion shape
+ * @param {number} fromVersion - Schema version the data was written with
+ * @returns {Object} { rounds, scores } in the STORAGE_SCHEMA_VERSION shape
+ * @throws {Error} If a step fails; the message names the step
+ */
+function migrateStoredData(data, fromVersion) {
+    let current = data;
+    STORAGE_MIGRATIONS
+        .filter(step => step.version > fromVersion && step.version <= STORAGE_SCHEMA_VERSION)
+        .sort((a, b) => a.version - b.version)
+        .forEach(step => {
+            try {
+                current = step.migrate(current);
+            } catch (e) {
+                throw new Error(`Migration to v${step.version} (${step.description}) failed: ${e.message}`);
+            }
+        });
+    return current;
+}
+
+/**
+ * Upgrade saved data to STORAGE_SCHEMA_VERSION before anything reads it
+ * Keeps a snapshot of the raw data first; if a step fails the snapshot is
+ * written back and storage is locked so the defaults never overwrite it
+ */
+function runStorageMigrations() {
+    const rawRounds = localStorage.getItem(playlistKey(STORAGE_KEY));
+    const rawScores = localStorage.getItem(playlistKey(SCORE_STORAGE_KEY));
+
+    // Fresh install: nothing to migrate
+    if (rawRounds === null && rawScores === null) return;
+
+    // Data saved before the version was stored is v1
+    const fromVersion = parseInt(localStorage.getItem(playlistKey(SCHEMA_VERSION_KEY))) || 1;
+
+    if (fromVersion === STORAGE_SCHEMA_VERSION) return;
+
+    if (fromVersion > STORAGE_SCHEMA_VERSION) {
+        storageLocked = true;
+        console.warn(`Saved data is schema v${fromVersion}, newer than this page (v${STORAGE_SCHEMA_VERSION})`);
+        alert('Your saved rounds were made by a newer version of the Game Night Hub. They have been left untouched and nothing will be saved until you open them with that version.');
+        return;
+    }
+
+    const snapshot = {
+        version: fromVersion,
+        rounds: rawRounds,
+        scores: rawScores,
+        takenAt: new Date().toISOString()
+    };
+
+    try {
+        localStorage.setItem(playlistKey(MIGRATION_SNAPSHOT_KEY), JSON.stringify(snapshot));
+
+        const migrated = migrateStoredData({
+            rounds: rawRounds ? JSON.parse(rawRounds) : [],
+            scores: rawScores ? JSON.parse(rawScores) : null
+        }, fromVersion);
+
+        if (rawRounds !== null) {
+            localStorage.setItem(playlistKey(STORAGE_KEY), JSON.stringify(migrated.rounds));
+        }
+        if (migrated.scores) {
+            localStorage.setItem(playlistKey(SCORE_STORAGE_KEY), JSON.stringify(migrated.scores));
+        }
+        localStorage.setItem(playlistKey(SCHEMA_VERSION_KEY), STORAGE_SCHEMA_VERSION);
+
+        console.log(`✅ Migrated saved data from v${fromVersion} to v${STORAGE_SCHEMA_VERSION}`);
+    } catch (e) {
+        console.warn('Migration failed, rolling back:', e);
+        restoreMigrationSnapshot(snapshot);
+        storageLocked = true;
+        alert(`Your saved rounds could not be upgraded and have been restored unchanged.\n\n${e.message}\n\nChanges made in this session will not be saved.`);
+    }
+}
+
+/**
+ * Put the raw pre-migration data back into LocalStorage
+ * @param {Object} snapshot - The snapshot taken by runStorageMigrations()
+ */
+function restoreMigrationSnapshot(snapshot) {
+    try {
+        if (snapshot.rounds === null) {
+            localStorage.removeItem(playlistKey(STORAGE_KEY));
+        } else {
+            localStorage.setItem(playlistKey(STORAGE_KEY), snapshot.rounds);
+        }
+        if (snapshot.scores === null) {
+            localStorage.removeItem(playlistKey(SCORE_STORAGE_KEY));
+        } else {
+            localStorage.setItem(playlistKey(SCORE_STORAGE_KEY), snapshot.scores);
+        }
+        if (snapshot.version > 1) {
+            localStorage.setItem(playlistKey(SCHEMA_VERSION_KEY), snapshot.version);
+        } else {
+            localStorage.removeItem(playlistKey(SCHEMA_VERSION_KEY));
+        }
+    } catch (e) {
+        console.warn('Could not restore pre-migration snapshot:', e);
+    }
+}
+
+
+// ==========================================
+// PLAYLISTS
+// Named lineups, each with its own rounds,
+// completion state and scoreboard
+// ==========================================
+
+/**
+ * LocalStorage key for the list of playlists and which one is active
+ */
+const PLAYLISTS_STORAGE_KEY = 'gameNightPlaylists';
+
+/**
+ * The playlist that owns the original (un-suffixed) storage keys
+ */
+const DEFAULT_PLAYLIST_ID = 'default';
+
+/**
+ * Known playlists and the active one
+ */
+let playlistIndex = {
+    activeId: DEFAULT_PLAYLIST_ID,
+    playlists: [{ id: DEFAULT_PLAYLIST_ID, name: 'Game Night' }]
+};
+
+/**
+ * Storage key for a piece of playlist data
+ * The default playlist keeps the original keys so existing saves still load
+ * @param {string} baseKey - e.g. STORAGE_KEY or SCORE_STORAGE_KEY
+ * @param {string} playlistId - Defaults to the active playlist
+ * @returns {string} The LocalStorage key
+ */
+function playlistKey(baseKey, playlistId = playlistIndex.activeId) {
+    return playlistId === DEFAULT_PLAYLIST_ID ? baseKey : `${baseKey}:${playlistId}`;
+}
+
+/**
+ * Every per-playlist storage key
+ * @returns {Array<string>} Base keys passed to playlistKey()
+ */
+function playlistBaseKeys() {
+    return [STORAGE_KEY, SCORE_STORAGE_KEY, SCORE_HISTORY_STORAGE_KEY, TIMER_STATE_STORAGE_KEY, SCHEMA_VERSION_KEY, MIGRATION_SNAPSHOT_KEY];
+}
+
+/**
+ * Load the playlist list, falling back to the single default playlist
+ */
+function loadPlaylistIndex() {
+    try {
+        const raw = localStorage.getItem(PLAYLISTS_STORAGE_KEY);
+        if (!raw) return;
+        const parsed = JSON.parse(raw);
+        if (parsed && Array.isArray(parsed.playlists) && parsed.playlists.length > 0) {
+            playlistIndex = parsed;
+            if (!findPlaylist(playlistIndex.activeId)) {
+                playlistIndex.activeId = playlistIndex.playlists[0].id;
+            }
+        }
+    } catch (e) {
+        console.warn('Could not load playlists from storage:', e);
+    }
+}
+
+/**
+ * Save the playlist list and the active playlist ID
+ */
+function savePlaylistIndex() {
+    try {
+        localStorage.setItem(PLAYLISTS_STORAGE_KEY, JSON.stringify(playlistIndex));
+    } catch (e) {
+        console.warn('Could not save playlists to storage:', e);
+    }
+}
+
+/**
+ * @param {string} playlistId - The playlist ID
+ * @returns {Object|undefined} The { id, name } entry
+ */
+function findPlaylist(playlistId) {
+    return playlistIndex.playlists.find(p => p.id === playlistId);
+}
+
+/**
+ * @returns {string} A playlist ID not used by any existing playlist
+ */
+function newPlaylistId() {
+    let id;
+    do {
+        id = `pl-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    } while (findPlaylist(id));
+    return id;
+}
+
+/**
+ * Fill the header playlist <select>
+ */
+function renderPlaylistSelect() {
+    const select = document.getElementById('playlistSelect');
+    if (!select) return;
+
+    select.innerHTML = playlistIndex.playlists
+        .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`)
+        .join('');
+    select.value = playlistIndex.activeId;
+}
+
+/**
+ * Ask for a playlist name
+ * @param {string} message - Prompt text
+ * @param {string} suggestion - Pre-filled value
+ * @returns {string|null} The trimmed name, or null if cancelled/empty
+ */
+function askPlaylistName(message, suggestion) {
+    const name = prompt(message, suggestion);
+    if (name === null) return null;
+    return name.trim() || null;
+}
+
+/**
+ * Save the current playlist, then show another one
+ * @param {string} playlistId - The playlist to switch to
+ */
+function switchPlaylist(playlistId) {
+    if (playlistId === playlistIndex.activeId || !findPlaylist(playlistId)) {
+        renderPlaylistSelect();
+        return;
+    }
+
+    saveRoundsToStorage();
+    saveScoresToStorage();
+    saveTimerState();
+    activatePlaylist(playlistId);
+}
+
+/**
+ * Make a playlist active and load its rounds and scoreboard
+ * Does not save the previously active playlist
+ * @param {string} playlistId - The playlist to load
+ */
+function activatePlaylist(playlistId) {
+    // The saved timers stay with the playlist being left, to resume when it is opened again
+    stopAllTimers(true);
+    if (editingRowId !== null) toggleAddRoundForm();
+
+    playlistIndex.activeId = playlistId;
+    savePlaylistIndex();
+
+    // Each playlist migrates on its own the first time it is opened
+    storageLocked = false;
+    runStorageMigrations();
+
+    if (!loadRoundsFromStorage()) {
+        // Never saved (a new playlist): store it empty so a reload keeps it empty
+        renderRoundsIntoTable([]);
+        saveRoundsToStorage();
+    }
+
+    scoreboardState = createDefaultScoreboard();
+    loadScoresFromStorage();
+    loadScoreHistory();
+    renderScoreboard();
+
+    updateProgress();
+    restoreTimers();
+    renderPlaylistSelect();
+
+    console.log(`✅ Switched to playlist "${findPlaylist(playlistId).name}"`);
+}
+
+/**
+ * Create an empty playlist and switch to it
+ */
+function createPlaylist() {
+    const name = askPlaylistName('Name for the new playlist:', '');
+    if (!name) return;
+
+    const id = newPlaylistId();
+    playlistIndex.playlists.push({ id, name });
+    savePlaylistIndex();
+    switchPlaylist(id);
+}
+
+/**
+ * Rename the active playlist
+ */
+function renamePlaylist() {
+    const playlist = findPlaylist(playlistIndex.activeId);
+    const name = askPlaylistName('Rename playlist:', playlist.name);
+    if (!name) return;
+
+    playlist.name = name;
+    savePlaylistIndex();
+    renderPlaylistSelect();
+}
+
+/**
+ * Copy the active playlist (rounds, completion state and scores) and switch to the copy
+ */
+function duplicatePlaylist() {
+    const source = findPlaylist(playlistIndex.activeId);
+    const name = askPlaylistName('Name for the copy:', `${source.name} (copy)`);
+    if (!name) return;
+
+    saveRoundsToStorage();
+    saveScoresToStorage();
+
+    const id = newPlaylistId();
+    try {
+        playlistBaseKeys().forEach(baseKey => {
+            const value = localStorage.getItem(playlistKey(baseKey, source.id));
+            if (value !== null) {
+                localStorage.setItem(playlistKey(baseKey, id), value);
+            }
+        });
+    } catch (e) {
+        console.warn('Could not copy playlist:', e);
+        alert('Could not duplicate the playlist (storage may be full).');
+        return;
+    }
+
+    playlistIndex.playlists.push({ id, name });
+    savePlaylistIndex();
+    activatePlaylist(id);
+}
+
+/**
+ * Delete the active playlist and everything saved for it
+ */
+function deletePlaylist() {
+    if (playlistIndex.playlists.length <= 1) {
+        alert('You need at least one playlist.');
+        return;
+    }
+
+    const playlist = findPlaylist(playlistIndex.activeId);
+    if (!confirm(`Delete the playlist "${playlist.name}" with all its rounds and scores?`)) {
+        return;
+    }
+
+    playlistBaseKeys().forEach(baseKey => localStorage.removeItem(playlistKey(baseKey, playlist.id)));
+    playlistIndex.playlists = playlistIndex.playlists.filter(p => p.id !== playlist.id);
+    activatePlaylist(playlistIndex.playlists[0].id);
+    pruneStoredMedia();
+}
+
+
+// ==========================================
+// IMPORT / EXPORT SYSTEM
+// Back up a night's lineup as a JSON file
+// and load it again (replace or append)
+// ==========================================
+
+/**
+ * Identifies files written by exportRoundsToFile()
+ */
+const EXPORT_FILE_TYPE = 'family-game-night-hub/rounds';
+
+/**
+ * Download the current rounds as a JSON file
+ * The file is stamped with STORAGE_SCHEMA_VERSION so future versions can upgrade it
+ */
+function exportRoundsToFile() {
+    const payload = {
+        type: EXPORT_FILE_TYPE,
+        schemaVersion: STORAGE_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        rounds: collectRoundsFromTable()
+    };
+
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `game-night-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    console.log(`✅ Exported ${payload.rounds.length} rounds`);
+}
+
+/**
+ * Open the file picker for importing rounds
+ */
+function openImportDialog() {
+    const input = document.getElementById('importFileInput');
+    input.value = '';
+    input.click();
+}
+
+/**
+ * Handle a file chosen in the import file picker
+ * @param {HTMLInputElement} input - The file input element
+ */
+function handleImportFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    const mode = document.getElementById('importMode').value;
+    const reader = new FileReader();
+
+    reader.onload = function () {
+        let parsed;
+        try {
+            parsed = parseRoundsFile(reader.result);
+        } catch (e) {
+            alert(`Could not import "${file.name}":\n\n${e.message}`);
+            return;
+        }
+
+        // Ask before storing anything, so a cancelled import leaves no media behind
+        if (!confirmImport(parsed.rounds.length, mode)) return;
+
+        // Bundles carry their media; store it before the rounds point at it
+        if (Object.keys(parsed.media).length === 0) {
+            importRounds(parsed.rounds, mode);
+            return;
+        }
+        storeBundleMedia(parsed.media)
+            .catch(e => {
+                console.warn('Could not store bundle media:', e);
+                alert(`Could not store the media from "${file.name}":\n\n${e.message}`);
+                return null;
+            })
+            .then(stored => {
+                if (stored) importRounds(rewriteMediaPaths(parsed.rounds, stored), mode);
+            })
+            .catch(e => {
+                console.warn('Could not import rounds:', e);
+                alert(`Could not import "${file.name}":\n\n${e.message}`);
+            });
+    };
+    reader.onerror = function () {
+        alert(`Could not read "${file.name}".`);
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Parse and validate the contents of an exported rounds file or bundle
+ * Also accepts a bare array (a raw copy of the gameNightRounds LocalStorage value)
+ * @param {string} text - The file contents
+ * @returns {{rounds: Array<Object>, media: Object}} The validated rounds and any embedded media
+ * @throws {Error} If the file is not valid JSON or any round is invalid
+ */
+function parseRoundsFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    let rounds;
+    let version;
+    let media = {};
+    if (Array.isArray(data)) {
+        // A raw copy is v1 HTML rounds unless it already holds structured rounds
+        rounds = data;
+        version = data.some(isStructuredRound) ? 3 : 1;
+    } else if (data && data.type === EXPORT_FILE_TYPE && Array.isArray(data.rounds)) {
+        rounds = data.rounds;
+        version = parseInt(data.schemaVersion) || 1;
+        media = data.media;
+    } else {
+        throw new Error('This is not a Game Night Hub rounds file.');
+    }
+
+    if (version > STORAGE_SCHEMA_VERSION) {
+        throw new Error(`The file was made by a newer version of the hub (schema ${version}, this page supports ${STORAGE_SCHEMA_VERSION}).`);
+    }
+    if (rounds.length === 0) {
+        throw new Error('The file does not contain any rounds.');
+    }
+
+    // Older files are upgraded with the same steps as saved data
+    rounds = migrateStoredData({ rounds, scores: null }, version).rounds;
+
+    const errors = validateBundleMedia(media);
+    rounds.forEach((round, index) => {
+        validateRound(round).forEach(msg => errors.push(`Round ${index + 1}: ${msg}`));
+    });
+    if (errors.length > 0) {
+        const shown = errors.slice(0, 5).join('\n');
+        const more = errors.length > 5 ? `\n...and ${errors.length - 5} more` : '';
+        throw new Error(shown + more);
+    }
+
+    return { rounds, media: media || {} };
+}
+
+/**
+ * Does a raw round look like a structured round rather than saved v1 HTML?
+ * @param {Object} round - A round from a file
+ * @returns {boolean}
+ */
+function isStructuredRound(round) {
+    return !!round && typeof round === 'object' &&
+        ('promptText' in round || 'resourceType' in round) && !('resourceHTML' in round);
+}
+
+/**
+ * Check a single round against the shape produced by createRound()
+ * @param {Object} round - The round to check
+ * @returns {Array<string>} Problems found (empty if the round is valid)
+ */
+function validateRound(round) {
+    if (!round || typeof round !== 'object' || Array.isArray(round)) {
+        return ['not a round object'];
+    }
+
+    const errors = [];
+    if (typeof round.gameName !== 'string' || !round.gameName.trim()) {
+        errors.push('missing game name');
+    }
+    if (round.gameIcon !== undefined && typeof round.gameIcon !== 'string') {
+        errors.push('icon must be text');
+    }
+    if (typeof round.promptText !== 'string' || !round.promptText.trim()) {
+        errors.push('missing prompt');
+    }
+    if (round.promptStyle !== undefined && !PROMPT_STYLES.includes(round.promptStyle)) {
+        errors.push(`unknown prompt style "${round.promptStyle}"`);
+    }
+    if (!RESOURCE_TYPES.includes(round.resourceType)) {
+        errors.push(`unknown resource type "${round.resourceType}"`);
+    }
+    ['promptLabel', 'resourceSrc', 'answer', 'timerSound'].forEach(key => {
+        if (round[key] !== undefined && typeof round[key] !== 'string') {
+            errors.push(`${key} must be text`);
+        }
+    });
+    if (!Number.isInteger(round.timerMin) || round.timerMin < 0 || round.timerMin > 60) {
+        errors.push('timer minutes must be a whole number from 0 to 60');
+    }
+    if (!Number.isInteger(round.timerSec) || round.timerSec < 0 || round.timerSec > 59) {
+        errors.push('timer seconds must be a whole number from 0 to 59');
+    }
+    if (round.isCompleted !== undefined && typeof round.isCompleted !== 'boolean') {
+        errors.push('completed flag must be true or false');
+    }
+    ['clipStart', 'clipEnd'].forEach(key => {
+        if (round[key] !== undefined && (typeof round[key] !== 'number' || !(round[key] >= 0))) {
+            errors.push(`${key} must be a number of seconds`);
+        }
+    });
+    if (round.clipEnd > 0 && round.clipEnd <= (round.clipStart || 0)) {
+        errors.push('clip must end after it starts');
+    }
+    if (round.mutedUntilReveal !== undefined && typeof round.mutedUntilReveal !== 'boolean') {
+        errors.push('muted-until-reveal flag must be true or false');
+    }
+    if (round.revealMode !== undefined && round.revealMode !== '' && !REVEAL_MODES.includes(round.revealMode)) {
+        errors.push(`unknown reveal mode "${round.revealMode}"`);
+    }
+    if (round.revealSteps !== undefined && (!Number.isInteger(round.revealSteps) || round.revealSteps < MIN_REVEAL_STEPS || round.revealSteps > MAX_REVEAL_STEPS)) {
+        errors.push(`reveal steps must be a whole number from ${MIN_REVEAL_STEPS} to ${MAX_REVEAL_STEPS}`);
+    }
+    if (round.revealStep !== undefined && (!Number.isInteger(round.revealStep) || round.revealStep < 0)) {
+        errors.push('reveal step must be a whole number of 0 or more');
+    }
+    if (round.revealWithTimer !== undefined && typeof round.revealWithTimer !== 'boolean') {
+        errors.push('reveal-with-timer flag must be true or false');
+    }
+    ['choices', 'acceptedAnswers'].forEach(key => {
+        if (round[key] !== undefined && (!Array.isArray(round[key]) || round[key].some(item => typeof item !== 'string'))) {
+            errors.push(`${key} must be a list of text`);
+        }
+    });
+    if (round.resourceType === 'choice') {
+        const count = Array.isArray(round.choices) ? round.choices.length : 0;
+        if (count < MIN_CHOICES || count > MAX_CHOICES) {
+            errors.push(`multiple choice needs ${MIN_CHOICES} to ${MAX_CHOICES} choices`);
+        } else if (!Number.isInteger(round.correctChoice) || round.correctChoice < 0 || round.correctChoice >= count) {
+            errors.push('multiple choice needs a correct choice');
+        }
+    }
+    if (round.points !== undefined && (!Number.isInteger(round.points) || round.points < 0)) {
+        errors.push('points must be a whole number of 0 or more');
+    }
+    if (round.award !== undefined && round.award !== null && (typeof round.award !== 'object' || typeof round.award.winner !== 'string')) {
+        errors.push('award must name a winner');
+    }
+    return errors;
+}
+
+/**
+ * Give rounds fresh sequential IDs
+ * @param {Array<Object>} rounds - The rounds to renumber
+ * @param {number} firstId - The ID for the first round
+ * @returns {Array<Object>} Copies of the rounds with new IDs
+ */
+function remapRoundIds(rounds, firstId) {
+    return rounds.map((round, index) => createRound({
+        ...round,
+        id: firstId + index
+    }));
+}
+
+/**
+ * Replacing the table needs a yes from the host; appending doesn't
+ * @param {number} count - Number of rounds being imported
+ * @param {string} mode - 'replace' or 'append'
+ * @returns {boolean} True to go ahead
+ */
+function confirmImport(count, mode) {
+    return mode === 'append' ||
+        confirm(`Replace all ${getTotalRows()} current rounds with ${count} imported rounds?`);
+}
+
+/**
+ * Put imported rounds into the table and save them
+ * Ask confirmImport() first
+ * @param {Array<Object>} rounds - Validated rounds from parseRoundsFile()
+ * @param {string} mode - 'replace' to swap out the table, 'append' to add to the end
+ */
+function importRounds(rounds, mode) {
+    const newRounds = mode === 'append'
+        ? collectRoundsFromTable().concat(remapRoundIds(rounds, nextRowId))
+        : remapRoundIds(rounds, 1);
+
+    stopAllTimers();
+    renderRoundsIntoTable(newRounds);
+
+    updateProgress();
+    updateGlobalTimerDisplay();
+    saveRoundsToStorage();
+    if (mode === 'replace') pruneStoredMedia();
+
+    alert(`Imported ${rounds.length} rounds (${mode === 'append' ? 'appended' : 'replaced the table'}).`);
+}
+
+/**
+ * Stop and forget every row timer
+ * Used before the table is rebuilt
+ * @param {boolean} keepSaved - Leave the saved timer state alone (switching playlists);
+ *                              otherwise the saved timers are cleared too
+ */
+function stopAllTimers(keepSaved = false) {
+    Object.keys(timers).forEach(rowId => {
+        if (timers[rowId].intervalId) {
+            clearInterval(timers[rowId].intervalId);
+        }
+        delete timers[rowId];
+    });
+    if (!keepSaved) saveTimerState();
+}
+
+
+// ==========================================
+// OFFLINE BUNDLES
+// Export rounds together with their media files as one
+// JSON file (data URLs); importing one stores the media
+// in IndexedDB and points the rounds at it
+// ==========================================
+
+/**
+ * Resource paths starting with this refer to a file in the media store,
+ * e.g. "media:k3x9f2-0"
+ */
+const MEDIA_SRC_PREFIX = 'media:';
+
+const MEDIA_DB_NAME = 'gameNightMedia';
+const MEDIA_DB_STORE = 'media';
+
+/**
+ * Object URLs for stored media, keyed by media ID
+ * Filled in by loadStoredMedia() once the page has loaded
+ */
+const mediaUrls = {};
+
+/**
+ * Turn a resource path into something an <img>/<audio>/<video> can load
+ * Stored media resolves to its object URL ('' until the store has loaded)
+ * @param {string} src - Resource path or timer sound
+ * @returns {string} Loadable URL
+ */
+function resolveMediaSrc(src) {
+    if (!src || !src.startsWith(MEDIA_SRC_PREFIX)) return src;
+    return mediaUrls[src.slice(MEDIA_SRC_PREFIX.length)] || '';
+}
+
+/**
+ * Open (and on first use create) the media database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openMediaDb() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('This browser has no IndexedDB.'));
+            return;
+        }
+        const request = indexedDB.open(MEDIA_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(MEDIA_DB_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run one request against the media store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Gets the object store, returns an IDBRequest
+ * @returns {Promise<*>} The request's result
+ */
+function withMediaStore(mode, makeRequest) {
+    return openMediaDb().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(MEDIA_DB_STORE, mode);
+        const request = makeRequest(transaction.objectStore(MEDIA_DB_STORE));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    }));
+}
+
+/**
+ * Drop stored media nothing uses any more, read the rest into mediaUrls,
+ * then redraw the rows that use stored media
+ */
+function loadStoredMedia() {
+    return pruneStoredMedia()
+        .then(() => withMediaStore('readonly', store => store.getAll()))
+        .then(records => {
+            const used = collectUsedMediaIds();
+            records = records.filter(record => !used || used.has(record.id));
+            records.forEach(record => {
+                if (!mediaUrls[record.id]) mediaUrls[record.id] = URL.createObjectURL(record.blob);
+            });
+
+            getGameRows().forEach(row => {
+                const round = roundsById[row.dataset.rowId];
+                if (round && round.resourceSrc.startsWith(MEDIA_SRC_PREFIX)) {
+                    row.querySelector('.resource-cell').innerHTML = buildResourceHTML(round);
+                }
+            });
+            stageMediaKey = null;
+            refreshPresenterViews();
+
+            if (records.length > 0) console.log(`✅ Loaded ${records.length} stored media files`);
+        })
+        .catch(e => console.warn('Could not load stored media:', e));
+}
+
+/**
+ * Stored media IDs still in use: every playlist's rounds, the table on screen,
+ * the round bank and the timer sound settings
+ * @returns {Set<string>|null} null if a saved playlist could not be read
+ *                             (then nothing is known to be safe to delete)
+ */
+function collectUsedMediaIds() {
+    const rounds = collectRoundsFromTable().concat(roundBank.items.map(item => item.round));
+    try {
+        playlistIndex.playlists.forEach(playlist => {
+            const raw = localStorage.getItem(playlistKey(STORAGE_KEY, playlist.id));
+            const saved = raw && raw.trim() ? JSON.parse(raw) : [];
+            if (Array.isArray(saved)) rounds.push(...saved.filter(round => round && typeof round === 'object'));
+        });
+    } catch (e) {
+        console.warn('Could not read saved playlists to check media use:', e);
+        return null;
+    }
+
+    const paths = collectMediaPaths(rounds)
+        .concat([timerSettings.finishSound, timerSettings.warningSound, timerSettings.dangerSound]);
+    return new Set(paths
+        .filter(path => typeof path === 'string' && path.startsWith(MEDIA_SRC_PREFIX))
+        .map(path => path.slice(MEDIA_SRC_PREFIX.length)));
+}
+
+/**
+ * Delete stored media that nothing uses any more and release its object URLs
+ * Called after rounds, bank items or playlists are removed (and on load)
+ * @returns {Promise<number>} How many files were deleted
+ */
+function pruneStoredMedia() {
+    const used = collectUsedMediaIds();
+    if (!used || !window.indexedDB) return Promise.resolve(0);
+
+    return withMediaStore('readonly', store => store.getAllKeys())
+        .then(ids => {
+            const unused = ids.filter(id => !used.has(id));
+            if (unused.length === 0) return 0;
+
+            return withMediaStore('readwrite', store => {
+                let request;
+                unused.forEach(id => { request = store.delete(id); });
+                return request;
+            }).then(() => {
+                unused.forEach(id => {
+                    if (mediaUrls[id]) URL.revokeObjectURL(mediaUrls[id]);
+                    delete mediaUrls[id];
+                });
+                console.log(`✅ Removed ${unused.length} unused media files`);
+                return unused.length;
+            });
+        })
+        .catch(e => {
+            console.warn('Could not clean up stored media:', e);
+            return 0;
+        });
+}
+
+/**
+ * Read a Blob as a data URL
+ * @param {Blob} blob - File contents
+ * @returns {Promise<string>}
+ */
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Decode a data URL back into a Blob
+ * @param {string} dataUrl - "data:<mime>;base64,..."
+ * @returns {Blob}
+ */
+function dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const mime = (header.match(/^data:([^;,]*)/) || [])[1] || 'application/octet-stream';
+    const bytes = header.includes(';base64') ? atob(data) : decodeURIComponent(data);
+    const buffer = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) buffer[i] = bytes.charCodeAt(i);
+    return new Blob([buffer], { type: mime });
+}
+
+/**
+ * Media files a set of rounds refers to: resources and per-round timer sounds
+ * @param {Array<Object>} rounds - Rounds to scan
+ * @returns {Array<string>} Unique paths
+ */
+function collectMediaPaths(rounds) {
+    const paths = new Set();
+    rounds.forEach(round => {
+        if (round.resourceSrc && ['audio', 'image', 'video'].includes(round.resourceType)) {
+            paths.add(round.resourceSrc);
+        }
+        if (round.timerSound && !SOUND_PATTERNS[round.timerSound] && round.timerSound !== 'none') {
+            paths.add(round.timerSound);
+        }
+    });
+    return [...paths];
+}
+
+/**
+ * Read one referenced file as a data URL, from the media store or the hub's folders
+ * @param {string} path - Resource path
+ * @returns {Promise<string>}
+ */
+function readMediaAsDataUrl(path) {
+    if (path.startsWith(MEDIA_SRC_PREFIX)) {
+        const id = path.slice(MEDIA_SRC_PREFIX.length);
+        return withMediaStore('readonly', store => store.get(id)).then(record => {
+            if (!record) throw new Error(`${path} is not in the media store`);
+            return blobToDataUrl(record.blob);
+        });
+    }
+    return fetch(path)
+        .then(response => {
+            if (!response.ok) throw new Error(`${path}: ${response.status}`);
+            return response.blob();
+        })
+        .then(blobToDataUrl);
+}
+
+/**
+ * Export button handler: build and download the bundle, telling the host if it fails
+ */
+async function exportBundleToFile() {
+    try {
+        await downloadBundle();
+    } catch (e) {
+        console.warn('Could not export bundle:', e);
+        const reason = e instanceof RangeError
+            ? 'The bundle is too large to save as one file. Try again with fewer or shorter videos.'
+            : e.message;
+        alert(`Could not export the bundle:\n\n${reason}`);
+    }
+}
+
+/**
+ * Download the current rounds with every media file they use embedded
+ * Browsers block reading files from disk when the page is opened as file://,
+ * so anything that cannot be fetched is picked from the hub's folder instead
+ */
+async function downloadBundle() {
+    const rounds = collectRoundsFromTable();
+    const media = {};
+    let missing = [];
+
+    for (const path of collectMediaPaths(rounds)) {
+        try {
+            media[path] = await readMediaAsDataUrl(path);
+        } catch (e) {
+            missing.push(path);
+        }
+    }
+
+    if (missing.length > 0 && confirm(`${missing.length} media files could not be read directly.\n\nPick the Game Night Hub folder (the one with images/ and audio/) to include them?`)) {
+        const files = await new Promise(resolve => chooseMediaFolder(resolve));
+        for (const { file, relativePath } of files || []) {
+            const path = toResourcePath(relativePath);
+            if (missing.includes(path) && !media[path]) {
+                media[path] = await blobToDataUrl(file);
+            }
+        }
+        missing = missing.filter(path => !media[path]);
+    }
+
+    const payload = {
+        type: EXPORT_FILE_TYPE,
+        schemaVersion: STORAGE_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        rounds: rounds,
+        media: media
+    };
+
+    const blob = new Blob([JSON.stringify(payload)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `game-night-bundle-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    console.log(`✅ Exported ${rounds.length} rounds with ${Object.keys(media).length} media files`);
+    if (missing.length > 0) {
+        alert(`The bundle was saved without these files:\n\n${missing.slice(0, 10).join('\n')}${missing.length > 10 ? `\n...and ${missing.length - 10} more` : ''}`);
+    }
+}
+
+/**
+ * Store a bundle's media files, reusing files already stored under the same name and size
+ * @param {Object} media - { path: dataUrl } from the bundle
+ * @returns {Promise<Object>} { path: 'media:<id>' } for every stored file
+ */
+async function storeBundleMedia(media) {
+    const existing = await withMediaStore('readonly', store => store.getAll());
+    const stamp = Date.now().toString(36);
+    const stored = {};
+
+    const entries = Object.entries(media);
+    for (let i = 0; i < entries.length; i++) {
+        const [path, dataUrl] = entries[i];
+        const blob = dataUrlToBlob(dataUrl);
+        let record = existing.find(item => item.name === path && item.size === blob.size);
+
+        if (!record) {
+            record = { id: `${stamp}-${i}`, name: path, size: blob.size, blob: blob, addedAt: new Date().toISOString() };
+            await withMediaStore('readwrite', store => store.put(record));
+        }
+        if (!mediaUrls[record.id]) mediaUrls[record.id] = URL.createObjectURL(record.blob);
+        stored[path] = MEDIA_SRC_PREFIX + record.id;
+    }
+
+    return stored;
+}
+
+/**
+ * Point rounds at stored media
+ * @param {Array<Object>} rounds - Rounds from the bundle
+ * @param {Object} stored - { path: 'media:<id>' } from storeBundleMedia()
+ * @returns {Array<Object>} Copies of the rounds with rewritten paths
+ */
+function rewriteMediaPaths(rounds, stored) {
+    return rounds.map(round => ({
+        ...round,
+        resourceSrc: stored[round.resourceSrc] || round.resourceSrc,
+        timerSound: stored[round.timerSound] || round.timerSound
+    }));
+}
+
+/**
+ * Check the media section of a bundle file
+ * @param {*} media - The file's media value
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+function validateBundleMedia(media) {
+    if (media === undefined) return [];
+    if (!media || typeof media !== 'object' || Array.isArray(media)) {
+        return ['media must map file paths to data URLs'];
+    }
+    return Object.entries(media)
+        .filter(([, dataUrl]) => typeof dataUrl !== 'string' || !dataUrl.startsWith('data:'))
+        .map(([path]) => `media "${path}" is not a data URL`);
+}
+
+
+// ==========================================
+// TIMER SYSTEM
+// Each row has an independent timer
+// Supports both minutes AND seconds input
+// Counts down to a wall-clock end time, so throttled
+// background tabs catch up instead of drifting
+// ==========================================
+
+const TIMER_STATE_STORAGE_KEY = 'gameNightTimers';
+
+// How often running timers re-check the clock (display only changes once a second)
+const TIMER_TICK_MS = 250;
+
+/**
+ * Get total seconds from the minutes and seconds inputs for a row
+ * @param {HTMLElement} row - The table row element
+ * @returns {number} Total seconds
+ */
+function getTimerSeconds(row) {
+    const minInput = row.querySelector('.timer-min');
+    const secInput = row.querySelector('.timer-sec');
+    const minutes = parseInt(minInput.value) || 0;
+    const seconds = parseInt(secInput.value) || 0;
+    return (minutes * 60) + seconds;
+}
+
+/**
+ * Start the timer for a specific row
+ * @param {number} rowId - The ID of the row (data-row-id)
+ */
+function startTimer(rowId) {
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (!row) return;
+
+    const display = row.querySelector('.timer-display');
+
+    // If timer is already running, do nothing
+    if (timers[rowId] && timers[rowId].isRunning) {
+        return;
+    }
+
+    // Initialize timer if not exists or was reset
+    if (!timers[rowId] || timers[rowId].remainingSeconds === 0) {
+        const totalSeconds = getTimerSeconds(row);
+        timers[rowId] = {
+            intervalId: null,
+            remainingSeconds: totalSeconds,
+            isRunning: false,
+            endsAt: null
+        };
+    }
+
+    // Don't start if no time set
+    if (timers[rowId].remainingSeconds <= 0) {
+        display.textContent = "Set time!";
+        return;
+    }
+
+    // The round being timed is the one on the audience screen
+    if (currentRoundId !== rowId) setCurrentRound(rowId);
+
+    // Mark row as active
+    row.classList.add('active');
+    row.classList.remove('timer-finished');
+    display.classList.add('running');
+    display.classList.remove('finished');
+
+    // Start the countdown (a timer restored after a reload already has its end time)
+    timers[rowId].isRunning = true;
+    if (!timers[rowId].endsAt) {
+        timers[rowId].endsAt = Date.now() + timers[rowId].remainingSeconds * 1000;
+    }
+    saveTimerState();
+
+    updateTimerDisplay(rowId);
+    updateTimerWarningState(rowId);
+    updateGlobalTimerDisplay();
+    advanceRevealWithTimer(rowId);
+
+    timers[rowId].intervalId = setInterval(() => tickTimer(rowId), TIMER_TICK_MS);
+}
+
+/**
+ * Recompute a running timer from its end time and redraw it when the second changes
+ * @param {number} rowId - The ID of the row
+ */
+function tickTimer(rowId) {
+    const timer = timers[rowId];
+    if (!timer || !timer.isRunning) return;
+
+    const remaining = Math.max(0, Math.ceil((timer.endsAt - Date.now()) / 1000));
+    if (remaining === timer.remainingSeconds) return;
+
+    playTimerCues(timer.remainingSeconds, remaining);
+    timer.remainingSeconds = remaining;
+    updateTimerDisplay(rowId);
+    updateTimerWarningState(rowId);
+    advanceRevealWithTimer(rowId);
+
+    // Timer finished
+    if (remaining <= 0) {
+        timerFinished(rowId);
+    }
+
+    updateGlobalTimerDisplay();
+}
+
+/**
+ * Color the timer display based on remaining time
+ * @param {number} rowId - The ID of the row
+ */
+function updateTimerWarningState(rowId) {
+    const display = document.getElementById(`timer-${rowId}`);
+    if (!display) return;
+
+    // Clear the old cue first: changed thresholds can drop a timer back to no urgency
+    const urgency = getTimerUrgency(timers[rowId].remainingSeconds);
+    display.classList.remove('running', 'warning', 'danger');
+    if (urgency) {
+        display.classList.add(urgency);
+    } else if (timers[rowId].isRunning) {
+        display.classList.add('running');
+    }
+}
+
+/**
+ * Pause the timer for a specific row
+ * @param {number} rowId - The ID of the row
+ */
+function pauseTimer(rowId) {
+    if (!timers[rowId]) return;
+
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (!row) return;
+
+    const display = row.querySelector('.timer-display');
+
+    // Clear the interval
+    if (timers[rowId].intervalId) {
+        clearInterval(timers[rowId].intervalId);
+        timers[rowId].intervalId = null;
+    }
+
+    // Freeze the time left; resuming sets a new end time
+    if (timers[rowId].isRunning) {
+        timers[rowId].remainingSeconds = Math.max(0, Math.ceil((timers[rowId].endsAt - Date.now()) / 1000));
+        updateTimerDisplay(rowId);
+    }
+    timers[rowId].isRunning = false;
+    timers[rowId].endsAt = null;
+    saveTimerState();
+
+    // Update visual state
+    display.classList.remove('running');
+    row.classList.remove('active');
+
+    updateGlobalTimerDisplay();
+}
+
+/**
+ * Reset the timer for a specific row
+ * @param {number} rowId - The ID of the row
+ */
+function resetTimer(rowId) {
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (!row) return;
+
+    const display = row.querySelector('.timer-display');
+
+    // Clear any running interval
+    if (timers[rowId] && timers[rowId].intervalId) {
+        clearInterval(timers[rowId].intervalId);
+    }
+
+    // Reset state
+    timers[rowId] = {
+        intervalId: null,
+        remainingSeconds: 0,
+        isRunning: false,
+        endsAt: null
+    };
+    saveTimerState();
+
+    // Reset display
+    display.textContent = "00:00";
+    display.classList.remove('running', 'warning', 'danger', 'finished');
+    row.classList.remove('active', 'timer-finished');
+
+    // An image uncovered by the countdown starts covered again
+    const round = roundsById[rowId];
+    if (round && round.revealWithTimer && resetRevealStep(rowId)) saveRoundsToStorage();
+
+    updateGlobalTimerDisplay();
+}
+
+/**
+ * Handle timer completion
+ * @param {number} rowId - The ID of the row
+ * @param {boolean} withSound - False when the timer ran out while the page was closed
+ */
+function timerFinished(rowId, withSound = true) {
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (!row) return;
+
+    const display = row.querySelector('.timer-display');
 
     // Clear the interval
     if (timers[rowId].intervalId) {
@@ -523,670 +2346,4401 @@ function pauseTimer(rowId) {
         timers[rowId].intervalId = null;
     }
 
-    timers[rowId].isRunning = false;
+    timers[rowId].isRunning = false;
+    timers[rowId].remainingSeconds = 0;
+    timers[rowId].endsAt = null;
+    saveTimerState();
+
+    // Visual feedback
+    display.textContent = "TIME!";
+    display.classList.remove('running', 'warning', 'danger');
+    display.classList.add('finished');
+    row.classList.remove('active');
+    row.classList.add('timer-finished');
+
+    // Time's up for the clip too
+    stopRoundAudio(rowId);
+
+    // Play a sound effect (using Web Audio API if available)
+    if (withSound) playTimerSound(rowId);
+
+    updateGlobalTimerDisplay();
+    onShowTimerFinished(rowId);
+}
+
+/**
+ * Remember running and paused timers so a reload picks them back up
+ */
+function saveTimerState() {
+    if (storageLocked) return;
+
+    const saved = {};
+    Object.entries(timers).forEach(([rowId, timer]) => {
+        if (timer.isRunning) {
+            saved[rowId] = { endsAt: timer.endsAt };
+        } else if (timer.remainingSeconds > 0) {
+            saved[rowId] = { remainingSeconds: timer.remainingSeconds };
+        }
+    });
+
+    try {
+        localStorage.setItem(playlistKey(TIMER_STATE_STORAGE_KEY), JSON.stringify(saved));
+    } catch (e) {
+        console.warn('Could not save timers to storage:', e);
+    }
+}
+
+/**
+ * Resume the timers saved by saveTimerState() for rows in the table.
+ * Timers that ran out while the page was closed show as finished, without the sound.
+ */
+function restoreTimers() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(playlistKey(TIMER_STATE_STORAGE_KEY)) || '{}');
+    } catch (e) {
+        console.warn('Could not load timers from storage:', e);
+        return;
+    }
+
+    Object.entries(saved || {}).forEach(([key, state]) => {
+        const rowId = parseInt(key);
+        if (!document.querySelector(`tr[data-row-id="${rowId}"]`)) return;
+
+        if (state.endsAt) {
+            const remaining = Math.max(0, Math.ceil((state.endsAt - Date.now()) / 1000));
+            timers[rowId] = { intervalId: null, remainingSeconds: remaining, isRunning: false, endsAt: null };
+
+            if (remaining > 0) {
+                timers[rowId].endsAt = state.endsAt;
+                startTimer(rowId);
+            } else {
+                timerFinished(rowId, false);
+            }
+        } else if (state.remainingSeconds > 0) {
+            timers[rowId] = { intervalId: null, remainingSeconds: state.remainingSeconds, isRunning: false, endsAt: null };
+            updateTimerDisplay(rowId);
+            updateTimerWarningState(rowId);
+        }
+    });
+
+    updateGlobalTimerDisplay();
+}
+
+/**
+ * Update the timer display for a specific row
+ * @param {number} rowId - The ID of the row
+ */
+function updateTimerDisplay(rowId) {
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (!row) return;
+
+    const display = row.querySelector('.timer-display');
+
+    const seconds = timers[rowId].remainingSeconds;
+    const mins = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+
+    display.textContent = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Update the global timer display in the header
+ * Shows the active timer with the least time remaining
+ */
+function updateGlobalTimerDisplay() {
+    const globalDisplay = document.getElementById('activeTimerDisplay');
+
+    // Every timer change passes through here, so keep the audience window and stage in step
+    refreshPresenterViews();
+
+    // Find all running timers
+    const runningTimers = Object.entries(timers)
+        .filter(([id, timer]) => timer.isRunning && timer.remainingSeconds > 0)
+        .map(([id, timer]) => ({
+            id: parseInt(id),
+            seconds: timer.remainingSeconds
+        }));
+
+    if (runningTimers.length === 0) {
+        globalDisplay.textContent = "No active timer";
+        globalDisplay.style.color = '#58a6ff';
+        return;
+    }
+
+    // Find the one with least time
+    const urgent = runningTimers.reduce((min, t) =>
+        t.seconds < min.seconds ? t : min
+    );
+
+    const mins = Math.floor(urgent.seconds / 60);
+    const secs = urgent.seconds % 60;
+    const timeStr = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+
+    // Get game name for the timer
+    const round = roundsById[urgent.id];
+    if (!round) return;
+
+    const gameName = `${round.gameIcon} ${round.gameName}`;
+
+    globalDisplay.textContent = `${gameName}: ${timeStr}`;
+
+    // Add warning color if low time
+    const urgency = getTimerUrgency(urgent.seconds);
+    if (urgency === 'danger') {
+        globalDisplay.style.color = '#f85149';
+    } else if (urgency === 'warning') {
+        globalDisplay.style.color = '#d29922';
+    } else {
+        globalDisplay.style.color = '#58a6ff';
+    }
+}
+
+
+// ==========================================
+// TIMER SOUNDS & CUES
+// Finish sound, threshold cues and ticking, set from
+// the sound settings panel; rounds can override the finish sound
+// ==========================================
+
+const TIMER_SETTINGS_STORAGE_KEY = 'gameNightTimerSettings';
+
+/**
+ * Built-in Web Audio patterns; notes are [frequency Hz, start ms, length ms]
+ */
+const SOUND_PATTERNS = {
+    beeps: { label: 'Triple beep', wave: 'sine', notes: [[800, 0, 150], [800, 200, 150], [1000, 400, 300]] },
+    chime: { label: 'Chime', wave: 'triangle', notes: [[1047, 0, 250], [1319, 180, 250], [1568, 360, 500]] },
+    ding: { label: 'Single ding', wave: 'sine', notes: [[1200, 0, 400]] },
+    alarm: { label: 'Alarm', wave: 'square', notes: [[880, 0, 120], [660, 150, 120], [880, 300, 120], [660, 450, 120], [880, 600, 120], [660, 750, 120]] },
+    buzzer: { label: 'Buzzer', wave: 'sawtooth', notes: [[140, 0, 900]] },
+    tick: { label: 'Tick', wave: 'square', notes: [[1500, 0, 30]] }
+};
+
+// Select value that switches a sound picker to its file path input
+const SOUND_FILE_OPTION = 'file';
+
+function createDefaultTimerSettings() {
+    return {
+        finishSound: 'beeps',   // pattern key, 'none', or a file such as 'audio/horn.mp3'
+        volume: 30,             // percent
+        warningSeconds: 30,
+        warningSound: 'none',
+        dangerSeconds: 10,
+        dangerSound: 'none',
+        tickSeconds: 0          // tick through the last N seconds, 0 = off
+    };
+}
+
+let timerSettings = createDefaultTimerSettings();
+
+// One shared context; browsers cap how many can be open at once
+let timerAudioContext = null;
+
+function loadTimerSettings() {
+    try {
+        const raw = localStorage.getItem(TIMER_SETTINGS_STORAGE_KEY);
+        if (!raw) return;
+        const parsed = JSON.parse(raw);
+        if (parsed && typeof parsed === 'object') {
+            timerSettings = { ...createDefaultTimerSettings(), ...parsed };
+        }
+    } catch (e) {
+        console.warn('Could not load timer settings from storage:', e);
+    }
+}
+
+function saveTimerSettings() {
+    try {
+        localStorage.setItem(TIMER_SETTINGS_STORAGE_KEY, JSON.stringify(timerSettings));
+    } catch (e) {
+        console.warn('Could not save timer settings to storage:', e);
+    }
+}
+
+/**
+ * Play a sound: a SOUND_PATTERNS key, a path to an audio file, or 'none'
+ * @param {string} sound - What to play
+ */
+function playSound(sound) {
+    if (!sound || sound === 'none') return;
+    const volume = Math.min(100, Math.max(0, timerSettings.volume)) / 100;
+
+    const pattern = SOUND_PATTERNS[sound];
+    if (!pattern) {
+        const audio = new Audio(resolveMediaSrc(sound));
+        audio.volume = volume;
+        audio.play().catch(e => console.warn(`Could not play "${sound}":`, e));
+        return;
+    }
+
+    try {
+        if (!timerAudioContext) {
+            timerAudioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        const audioContext = timerAudioContext;
+        const startAt = audioContext.currentTime;
+
+        pattern.notes.forEach(([frequency, start, length]) => {
+            const oscillator = audioContext.createOscillator();
+            const gainNode = audioContext.createGain();
+            oscillator.connect(gainNode);
+            gainNode.connect(audioContext.destination);
+
+            oscillator.type = pattern.wave;
+            oscillator.frequency.value = frequency;
+            gainNode.gain.value = volume;
+
+            oscillator.start(startAt + start / 1000);
+            oscillator.stop(startAt + (start + length) / 1000);
+        });
+    } catch (e) {
+        // Web Audio not supported - fail silently
+        console.log('Audio not supported');
+    }
+}
+
+/**
+ * Play the finish sound for a round (its own override, else the setting)
+ * Uses Web Audio API for offline compatibility
+ * @param {number} rowId - The ID of the row
+ */
+function playTimerSound(rowId) {
+    const round = roundsById[rowId];
+    playSound(round && round.timerSound ? round.timerSound : timerSettings.finishSound);
+}
+
+/**
+ * Play the warning/danger cue or a tick when a running timer moves
+ * from `before` to `after` seconds left
+ */
+function playTimerCues(before, after) {
+    if (after <= 0) return; // the finish sound covers zero
+
+    const crossed = threshold => threshold > 0 && before > threshold && after <= threshold;
+    if (crossed(timerSettings.dangerSeconds)) {
+        playSound(timerSettings.dangerSound);
+    } else if (crossed(timerSettings.warningSeconds)) {
+        playSound(timerSettings.warningSound);
+    } else if (after <= timerSettings.tickSeconds) {
+        playSound('tick');
+    }
+}
+
+/**
+ * Timer color for the seconds left: 'danger', 'warning' or '' (plenty of time)
+ */
+function getTimerUrgency(seconds) {
+    if (seconds > 0 && seconds <= timerSettings.dangerSeconds) return 'danger';
+    if (seconds > 0 && seconds <= timerSettings.warningSeconds) return 'warning';
+    return '';
+}
+
+// ----- Sound pickers (select + optional file path) -----
+
+/**
+ * Fill a sound <select> with the built-in patterns
+ * @param {HTMLSelectElement} select - The select element
+ * @param {string} defaultLabel - Label for an extra "use the setting" option, if any
+ */
+function fillSoundSelect(select, defaultLabel = '') {
+    const options = [];
+    if (defaultLabel) options.push(new Option(defaultLabel, ''));
+    options.push(new Option('🔇 None', 'none'));
+    Object.entries(SOUND_PATTERNS)
+        .filter(([key]) => key !== 'tick')
+        .forEach(([key, pattern]) => options.push(new Option(pattern.label, key)));
+    options.push(new Option('📁 Audio file…', SOUND_FILE_OPTION));
+
+    select.innerHTML = '';
+    options.forEach(option => select.add(option));
+}
+
+function setSoundPicker(selectId, fileInputId, sound) {
+    const select = document.getElementById(selectId);
+    const fileInput = document.getElementById(fileInputId);
+    const isFile = !!sound && sound !== 'none' && !SOUND_PATTERNS[sound];
+
+    select.value = isFile ? SOUND_FILE_OPTION : sound;
+    fileInput.value = isFile ? sound : '';
+    toggleSoundFileInput(selectId, fileInputId);
+}
+
+function readSoundPicker(selectId, fileInputId) {
+    const value = document.getElementById(selectId).value;
+    if (value !== SOUND_FILE_OPTION) return value;
+    return document.getElementById(fileInputId).value.trim() || 'none';
+}
+
+function toggleSoundFileInput(selectId, fileInputId) {
+    const isFile = document.getElementById(selectId).value === SOUND_FILE_OPTION;
+    document.getElementById(fileInputId).style.display = isFile ? 'block' : 'none';
+}
+
+// ----- Settings panel -----
+
+function toggleSoundSettings() {
+    const panel = document.getElementById('soundSettingsPanel');
+    const isVisible = panel.style.display !== 'none';
+    panel.style.display = isVisible ? 'none' : 'block';
+    if (!isVisible) renderSoundSettings();
+}
+
+/**
+ * Fill the settings panel from timerSettings
+ */
+function renderSoundSettings() {
+    setSoundPicker('soundFinish', 'soundFinishFile', timerSettings.finishSound);
+    setSoundPicker('soundWarning', 'soundWarningFile', timerSettings.warningSound);
+    setSoundPicker('soundDanger', 'soundDangerFile', timerSettings.dangerSound);
+    document.getElementById('soundVolume').value = timerSettings.volume;
+    document.getElementById('soundVolumeValue').textContent = `${timerSettings.volume}%`;
+    document.getElementById('soundWarningSeconds').value = timerSettings.warningSeconds;
+    document.getElementById('soundDangerSeconds').value = timerSettings.dangerSeconds;
+    document.getElementById('soundTickSeconds').value = timerSettings.tickSeconds;
+}
+
+/**
+ * Read the settings panel, save, and redraw timers against the new thresholds
+ */
+function saveSoundSettings() {
+    const seconds = id => Math.max(0, parseInt(document.getElementById(id).value) || 0);
+
+    timerSettings = {
+        finishSound: readSoundPicker('soundFinish', 'soundFinishFile'),
+        volume: Math.min(100, seconds('soundVolume')),
+        warningSeconds: seconds('soundWarningSeconds'),
+        warningSound: readSoundPicker('soundWarning', 'soundWarningFile'),
+        dangerSeconds: seconds('soundDangerSeconds'),
+        dangerSound: readSoundPicker('soundDanger', 'soundDangerFile'),
+        tickSeconds: seconds('soundTickSeconds')
+    };
+    saveTimerSettings();
+
+    ['soundFinish', 'soundWarning', 'soundDanger'].forEach(id => toggleSoundFileInput(id, `${id}File`));
+    document.getElementById('soundVolumeValue').textContent = `${timerSettings.volume}%`;
+
+    Object.keys(timers).forEach(rowId => {
+        if (timers[rowId].isRunning) updateTimerWarningState(parseInt(rowId));
+    });
+    updateGlobalTimerDisplay();
+}
+
+function resetSoundSettings() {
+    if (!confirm('Put all timer sounds back to their defaults?')) return;
+    timerSettings = createDefaultTimerSettings();
+    saveTimerSettings();
+    renderSoundSettings();
+    updateGlobalTimerDisplay();
+}
+
+/**
+ * Preview one of the panel's sounds
+ * @param {string} selectId - Picker to read (soundFinish, soundWarning, soundDanger)
+ */
+function testSound(selectId) {
+    playSound(readSoundPicker(selectId, `${selectId}File`));
+}
+
+function initSoundSettings() {
+    loadTimerSettings();
+    fillSoundSelect(document.getElementById('soundFinish'));
+    fillSoundSelect(document.getElementById('soundWarning'));
+    fillSoundSelect(document.getElementById('soundDanger'));
+    fillSoundSelect(document.getElementById('newTimerSound'), 'Default (from sound settings)');
+    renderSoundSettings();
+}
+
+
+// ==========================================
+// ROUND AWARDS
+// Give a round's points to the team that won it
+// (or to nobody) and undo it if we got it wrong
+// ==========================================
+
+/**
+ * Winner value for a round nobody got
+ */
+const AWARD_NOBODY = 'nobody';
+
+/**
+ * Build the award controls for a round
+ * Before an award: points input and one button per team plus "Nobody"
+ * After an award: who won and an undo button
+ * @param {Object} round - The round
+ * @returns {string} Safe HTML
+ */
+function buildAwardHTML(round) {
+    const id = round.id;
+
+    if (round.award) {
+        const winner = round.award.winner === AWARD_NOBODY
+            ? '🚫 Nobody'
+            : `🏆 ${escapeHtml(getTeamName(round.award.winner))} +${round.award.points}`;
+        return `
+            <div class="award-result">
+                <span class="award-badge">${winner}</span>
+                <button class="btn btn-award-undo" onclick="undoAward(${id})" aria-label="Undo award">↩️</button>
+            </div>
+        `;
+    }
+
+    const teamButtons = scoreboardState.teams
+        .map(team => `<button class="btn btn-award" style="background:${escapeHtml(team.color)};" onclick="awardRound(${id}, '${escapeHtml(team.id)}')">${escapeHtml(team.name)}</button>`)
+        .join('');
+
+    return `
+        <div class="award-controls">
+            <label class="award-points">
+                <input type="number" class="timer-input points-input" value="${round.points}" min="0" max="100"
+                    onchange="setRoundPoints(${id}, this.value)" aria-label="Points for this round">
+                <span class="timer-label">pts</span>
+            </label>
+            <div class="award-buttons">
+                ${teamButtons}
+                <button class="btn btn-award btn-award-nobody" onclick="awardRound(${id}, '${AWARD_NOBODY}')">Nobody</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Change a round's points from its row or the stage
+ * The row's input is what gets saved, so the stage writes through it
+ * @param {number} rowId - The ID of the row
+ * @param {string} value - The new point value
+ */
+function setRoundPoints(rowId, value) {
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    const input = row && row.querySelector('.points-input');
+    if (!input) return;
+
+    input.value = value;
+    saveRoundsToStorage();
+}
+
+/**
+ * @param {string} teamKey - Team ID, e.g. 'teamA'
+ * @returns {string} The team's display name
+ */
+function getTeamName(teamKey) {
+    const team = findTeam(teamKey);
+    return team ? team.name : 'Removed team';
+}
+
+/**
+ * Redraw a round's award controls in its row (and on the stage)
+ * @param {number} rowId - The ID of the row
+ */
+function refreshAwardCell(rowId) {
+    const cell = document.querySelector(`tr[data-row-id="${rowId}"] .award-cell`);
+    if (cell && roundsById[rowId]) {
+        cell.innerHTML = buildAwardHTML(roundsById[rowId]);
+    }
+}
+
+/**
+ * Redraw every award cell (e.g. after a team is renamed)
+ */
+function refreshAllAwardCells() {
+    document.querySelectorAll('.game-row').forEach(row => refreshAwardCell(parseInt(row.dataset.rowId)));
+}
+
+/**
+ * Give a round's points to a team (or record that nobody got it)
+ * @param {number} rowId - The ID of the row
+ * @param {string} winner - Team key, or AWARD_NOBODY
+ */
+function awardRound(rowId, winner) {
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (!row) return;
+
+    const round = readRoundFromRow(row);
+    if (round.award) return;
+    if (winner !== AWARD_NOBODY && !findTeam(winner)) return;
+
+    // Record the award before scoring so views redrawn by adjustScore() see it
+    const points = winner === AWARD_NOBODY ? 0 : getAwardPoints(round);
+    round.award = { winner: winner, points: points };
+    refreshAwardCell(rowId);
+
+    if (points) adjustScore(winner, points, rowId, { before: null, after: round.award });
+    saveRoundsToStorage();
+    if (row.querySelector('.done-checkbox').checked) recordRoundPlay(rowId);
+    onShowRoundAwarded(rowId);
+}
+
+/**
+ * Take back a round's award and the points that came with it
+ * @param {number} rowId - The ID of the row
+ */
+function undoAward(rowId) {
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (!row) return;
+
+    const round = readRoundFromRow(row);
+    if (!round.award) return;
+
+    const taken = round.award;
+    const { winner, points } = taken;
+    round.award = null;
+    refreshAwardCell(rowId);
+
+    if (winner !== AWARD_NOBODY && points) adjustScore(winner, -points, rowId, { before: taken, after: null });
+    saveRoundsToStorage();
+    if (row.querySelector('.done-checkbox').checked) recordRoundPlay(rowId);
+}
+
+/**
+ * Put a round's award back as it was, when score undo/redo steps over an award
+ * Leaves the score alone (the history entry already moved it)
+ * @param {number} rowId - The ID of the row
+ * @param {Object|null} award - The award to restore, or null for none
+ */
+function setRoundAward(rowId, award) {
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (!row) return;
+
+    const round = readRoundFromRow(row);
+    round.award = award ? { ...award } : null;
+    refreshAwardCell(rowId);
+    saveRoundsToStorage();
+    if (row.querySelector('.done-checkbox').checked) recordRoundPlay(rowId);
+}
+
+
+// ==========================================
+// CHECKBOX / PROGRESS SYSTEM
+// ==========================================
+
+/**
+ * Toggle the "done" state for a row
+ * @param {number} rowId - The ID of the row
+ * @param {HTMLInputElement} checkbox - The checkbox element
+ */
+function toggleDone(rowId, checkbox) {
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (!row) return;
+
+    if (checkbox.checked) {
+        // Mark as completed
+        row.classList.add('completed');
+
+        // Pause timer if running
+        pauseTimer(rowId);
+
+        // Remember tonight's play across nights
+        recordRoundPlay(rowId);
+
+        // Auto-scroll to next unchecked row and put it on the audience screen
+        const nextUncheckedId = scrollToNextUnchecked(rowId);
+        if (nextUncheckedId !== null) setCurrentRound(nextUncheckedId);
+        onShowRoundDone(rowId);
+    } else {
+        // Unmark as completed
+        row.classList.remove('completed');
+        forgetRoundPlay(rowId);
+    }
+
+    // Update progress bar
+    updateProgress();
+
+    // Save state to LocalStorage
+    saveRoundsToStorage();
+}
+
+/**
+ * Scroll to the next unchecked row
+ * @param {number} currentRowId - The ID of the current row
+ * @returns {number|null} The ID of the row scrolled to, or null if none
+ */
+function scrollToNextUnchecked(currentRowId) {
+    const allRows = document.querySelectorAll('.game-row');
+    let foundCurrent = false;
+
+    for (const row of allRows) {
+        const rowId = parseInt(row.dataset.rowId);
+
+        if (rowId === currentRowId) {
+            foundCurrent = true;
+            continue;
+        }
+
+        if (foundCurrent) {
+            const checkbox = row.querySelector('.done-checkbox');
+            if (!checkbox.checked && !isRowFilteredOut(row)) {
+                // Smooth scroll to this row
+                row.scrollIntoView({
+                    behavior: 'smooth',
+                    block: 'center'
+                });
+
+                // Highlight briefly
+                row.style.outline = '2px solid #58a6ff';
+                setTimeout(() => {
+                    row.style.outline = 'none';
+                }, 2000);
+
+                return rowId;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Update the progress bar based on completed rounds
+ */
+function updateProgress() {
+    const allCheckboxes = document.querySelectorAll('.done-checkbox');
+    const checkedCount = document.querySelectorAll('.done-checkbox:checked').length;
+    const totalCount = allCheckboxes.length;
+
+    const percentage = totalCount > 0 ? (checkedCount / totalCount) * 100 : 0;
+
+    const progressFill = document.getElementById('progressFill');
+    const progressText = document.getElementById('progressText');
+
+    progressFill.style.width = `${percentage}%`;
+    progressText.textContent = `${checkedCount} of ${totalCount} rounds completed`;
+
+    // Celebration when all done!
+    if (checkedCount === totalCount && totalCount > 0) {
+        progressText.textContent = `🎉 All ${totalCount} rounds completed! Great game night! 🎉`;
+        celebrateCompletion();
+    }
+}
+
+/**
+ * Simple celebration animation when all rounds are complete
+ */
+function celebrateCompletion() {
+    const header = document.querySelector('.header');
+    header.style.background = 'linear-gradient(135deg, #2ea043, #3fb950)';
+
+    setTimeout(() => {
+        header.style.background = '';
+    }, 3000);
+}
+
+
+// ==========================================
+// ADD / EDIT ROUND SYSTEM
+// Allows adding and editing rounds from the browser
+// Automatically saves to LocalStorage
+// ==========================================
+
+/**
+ * Row ID of the round being edited in the form (null while adding)
+ */
+let editingRowId = null;
+
+/**
+ * Toggle the visibility of the add round form
+ * Closing the form while editing drops the edit
+ */
+function toggleAddRoundForm() {
+    const form = document.getElementById('addRoundForm');
+    const isVisible = form.style.display !== 'none';
+    form.style.display = isVisible ? 'none' : 'block';
+
+    if (isVisible && editingRowId !== null) {
+        resetRoundForm();
+    }
+}
+
+/**
+ * Toggle the resource path input based on resource type
+ */
+function toggleResourceInput() {
+    const resourceType = document.getElementById('newResourceType').value;
+    const pathGroup = document.getElementById('resourcePathGroup');
+
+    // Show path input for audio, image, video; hide for text and answer-only rounds
+    if (resourceType === 'audio' || resourceType === 'image' || resourceType === 'video') {
+        pathGroup.style.display = 'block';
+
+        // Update placeholder based on type
+        const pathInput = document.getElementById('newResourcePath');
+        if (resourceType === 'audio') pathInput.placeholder = 'e.g., audio/song.mp3';
+        if (resourceType === 'image') pathInput.placeholder = 'e.g., images/pic.jpg';
+        if (resourceType === 'video') pathInput.placeholder = 'e.g., videos/clip.mp4';
+    } else {
+        pathGroup.style.display = 'none';
+    }
+
+    // Clip points and muting only apply to video; audio has a start and a length
+    document.getElementById('clipGroup').style.display = resourceType === 'video' ? 'block' : 'none';
+    document.getElementById('snippetGroup').style.display = resourceType === 'audio' ? 'block' : 'none';
+    document.getElementById('revealGroup').style.display = resourceType === 'image' ? 'block' : 'none';
+    toggleQuestionInputs(resourceType);
+    document.getElementById('mutedGroup').style.display = resourceType === 'video' ? 'block' : 'none';
+}
+
+/**
+ * Read and validate the add/edit round form
+ * @returns {Object|null} Round fields, or null if validation failed (an alert was shown)
+ */
+function readRoundForm() {
+    const gameName = document.getElementById('newGameName').value.trim();
+    const gameIcon = document.getElementById('newGameIcon').value.trim() || '🎮';
+    const prompt = document.getElementById('newPrompt').value.trim();
+    const resourceType = document.getElementById('newResourceType').value;
+    const resourcePath = document.getElementById('newResourcePath').value.trim();
+    let answer = document.getElementById('newAnswer').value.trim();
+    const timerMin = parseInt(document.getElementById('newTimerMin').value) || 0;
+    const timerSec = parseInt(document.getElementById('newTimerSec').value) || 0;
+    let clipStart = 0;
+    let clipEnd = 0;
+    if (resourceType === 'video') {
+        clipStart = parseFloat(document.getElementById('newClipStart').value) || 0;
+        clipEnd = parseFloat(document.getElementById('newClipEnd').value) || 0;
+    } else if (resourceType === 'audio') {
+        clipStart = parseFloat(document.getElementById('newSnippetStart').value) || 0;
+        const length = parseFloat(document.getElementById('newSnippetLength').value) || 0;
+        clipEnd = length > 0 ? clipStart + length : 0;
+    }
+    const mutedUntilReveal = resourceType === 'video' && document.getElementById('newMutedUntilReveal').checked;
+    const revealMode = resourceType === 'image' ? document.getElementById('newRevealMode').value : '';
+
+    // Validation
+    if (!gameName) {
+        alert('Please enter a game name.');
+        return null;
+    }
+    if (!prompt) {
+        alert('Please enter a round/prompt.');
+        return null;
+    }
+    if ((resourceType === 'answer' || resourceType === 'typed') && !answer) {
+        alert('Please enter the answer.');
+        return null;
+    }
+
+    const { choices, correctChoice } = resourceType === 'choice' ? readChoiceInputs() : { choices: [], correctChoice: -1 };
+    if (resourceType === 'choice') {
+        if (choices.length < MIN_CHOICES) {
+            alert(`Please enter at least ${MIN_CHOICES} choices.`);
+            return null;
+        }
+        if (correctChoice < 0) {
+            alert('Please mark the correct choice.');
+            return null;
+        }
+        answer = choices[correctChoice];
+    }
+    if (clipStart < 0 || clipEnd < 0 || (clipEnd > 0 && clipEnd <= clipStart)) {
+        alert('The clip has to end after it starts.');
+        return null;
+    }
+    if (mutedUntilReveal && !answer) {
+        alert('Enter an answer so there is something to reveal, or untick "Muted until the answer is revealed".');
+        return null;
+    }
+
+    return {
+        gameName: gameName,
+        gameIcon: gameIcon,
+        promptText: prompt,
+        resourceType: resourceType,
+        resourceSrc: ['audio', 'image', 'video'].includes(resourceType) ? resourcePath : '',
+        answer: answer,
+        timerMin: timerMin,
+        timerSec: timerSec,
+        timerSound: readSoundPicker('newTimerSound', 'newTimerSoundFile'),
+        clipStart: clipStart,
+        clipEnd: clipEnd,
+        mutedUntilReveal: mutedUntilReveal,
+        revealMode: revealMode,
+        revealSteps: parseInt(document.getElementById('newRevealSteps').value) || 5,
+        revealWithTimer: !!revealMode && document.getElementById('newRevealWithTimer').checked,
+        choices: choices,
+        correctChoice: correctChoice,
+        acceptedAnswers: resourceType === 'typed' ? readAcceptedAnswers() : []
+    };
+}
+
+/**
+ * Clear the form and put it back into "add" mode
+ */
+function resetRoundForm() {
+    editingRowId = null;
+    document.getElementById('roundFormTitle').textContent = 'Add a New Round';
+    document.getElementById('roundFormSubmit').textContent = '✅ Add Round';
+
+    document.getElementById('newGameName').value = '';
+    document.getElementById('newPrompt').value = '';
+    document.getElementById('newResourcePath').value = '';
+    document.getElementById('newAnswer').value = '';
+    document.getElementById('newTimerMin').value = '1';
+    document.getElementById('newTimerSec').value = '0';
+    document.getElementById('newResourceType').value = 'text';
+    document.getElementById('newClipStart').value = '';
+    document.getElementById('newClipEnd').value = '';
+    document.getElementById('newSnippetStart').value = '';
+    document.getElementById('newSnippetLength').value = '';
+    document.getElementById('newMutedUntilReveal').checked = false;
+    document.getElementById('newRevealMode').value = '';
+    document.getElementById('newRevealSteps').value = '5';
+    document.getElementById('newRevealWithTimer').checked = false;
+    document.getElementById('newAcceptedAnswers').value = '';
+    fillChoiceInputs([], -1);
+    setSoundPicker('newTimerSound', 'newTimerSoundFile', '');
+    toggleResourceInput();
+}
+
+/**
+ * Submit button of the form: adds a round or saves the one being edited
+ */
+function submitRoundForm() {
+    if (editingRowId === null) {
+        addNewRound();
+    } else {
+        saveRoundEdits();
+    }
+}
+
+/**
+ * Add a round to the end of the table with a fresh ID
+ * Shared by the add-round form and the round bank
+ * @param {Object} fields - Round fields (any ID is ignored)
+ * @returns {Object} The new round
+ */
+function appendRoundToTable(fields) {
+    // Question rounds hide the prompt behind a Reveal button
+    const rowId = nextRowId++;
+    const round = createRound({
+        ...fields,
+        id: rowId,
+        promptStyle: fields.promptStyle || (fields.gameIcon === '❓' ? 'spoiler' : 'plain')
+    });
+    roundsById[rowId] = round;
+
+    // Add to table
+    const tableBody = document.getElementById('tableBody');
+    tableBody.insertAdjacentHTML('beforeend', buildRowHTML(round));
+    regroupRows();
+
+    return round;
+}
+
+/**
+ * Add a new round to the table
+ */
+function addNewRound() {
+    const fields = readRoundForm();
+    if (!fields) return;
+
+    const rowId = appendRoundToTable(fields).id;
+
+    // Clear form and hide
+    resetRoundForm();
+    toggleAddRoundForm();
+
+    // Update progress and save
+    updateProgress();
+    saveRoundsToStorage();
+
+    // Scroll to new row visual feedback (same as before)
+    const newRow = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    newRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    newRow.style.outline = '2px solid #3fb950';
+    setTimeout(() => {
+        newRow.style.outline = 'none';
+    }, 2000);
+
+    console.log(`✅ Added round "${fields.gameName}" and saved to storage`);
+}
+
+/**
+ * Open the form pre-filled with an existing round
+ * @param {number} rowId - The ID of the row to edit
+ */
+function editRound(rowId) {
+    // Sync live state (timer inputs, reveals) into the round data first
+    collectRoundsFromTable();
+    const round = roundsById[rowId];
+    if (!round) return;
+
+    editingRowId = rowId;
+    document.getElementById('roundFormTitle').textContent = `Edit Round: ${round.gameName}`;
+    document.getElementById('roundFormSubmit').textContent = '💾 Save Changes';
+
+    document.getElementById('newGameName').value = round.gameName;
+    setSelectValue(document.getElementById('newGameIcon'), round.gameIcon);
+    document.getElementById('newPrompt').value = round.promptLabel
+        ? `${round.promptLabel} ${round.promptText}`
+        : round.promptText;
+    document.getElementById('newResourceType').value = round.resourceType;
+    document.getElementById('newResourcePath').value = round.resourceSrc;
+    document.getElementById('newAnswer').value = round.answer;
+    document.getElementById('newTimerMin').value = round.timerMin;
+    document.getElementById('newTimerSec').value = round.timerSec;
+    document.getElementById('newClipStart').value = round.clipStart || '';
+    document.getElementById('newClipEnd').value = round.clipEnd || '';
+    document.getElementById('newSnippetStart').value = round.clipStart || '';
+    document.getElementById('newSnippetLength').value = round.clipEnd ? round.clipEnd - round.clipStart : '';
+    document.getElementById('newMutedUntilReveal').checked = round.mutedUntilReveal;
+    document.getElementById('newRevealMode').value = round.revealMode;
+    document.getElementById('newRevealSteps').value = round.revealSteps;
+    document.getElementById('newRevealWithTimer').checked = round.revealWithTimer;
+    document.getElementById('newAcceptedAnswers').value = round.acceptedAnswers.join('\n');
+    fillChoiceInputs(round.choices, round.correctChoice);
+    setSoundPicker('newTimerSound', 'newTimerSoundFile', round.timerSound);
+    toggleResourceInput();
+
+    const form = document.getElementById('addRoundForm');
+    form.style.display = 'block';
+    form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    document.getElementById('newGameName').focus();
+}
+
+/**
+ * Apply the form to the round being edited and redraw its row in place
+ * Position, completion, reveals and any running timer are kept
+ */
+function saveRoundEdits() {
+    const rowId = editingRowId;
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    const current = roundsById[rowId];
+    if (!row || !current) {
+        resetRoundForm();
+        toggleAddRoundForm();
+        return;
+    }
+
+    const fields = readRoundForm();
+    if (!fields) return;
+
+    // Keep a "Label:" lead-in bold if the edited prompt still starts with it
+    let promptLabel = '';
+    let promptText = fields.promptText;
+    if (current.promptLabel && promptText.startsWith(current.promptLabel + ' ')) {
+        promptLabel = current.promptLabel;
+        promptText = promptText.slice(current.promptLabel.length).trim();
+    }
+
+    // ❓ rounds always hide the prompt; other rounds keep plain/bold
+    let promptStyle = current.promptStyle;
+    if (fields.gameIcon === '❓') {
+        promptStyle = 'spoiler';
+    } else if (promptStyle === 'spoiler') {
+        promptStyle = 'plain';
+    }
+
+    const round = createRound({
+        ...current,
+        ...fields,
+        promptLabel: promptLabel,
+        promptText: promptText,
+        promptStyle: promptStyle,
+        isCompleted: row.querySelector('.done-checkbox').checked
+    });
+    roundsById[rowId] = round;
+
+    row.outerHTML = buildRowHTML(round);
+
+    // Restore the running timer's display on the new row
+    const timer = timers[rowId];
+    if (timer && (timer.isRunning || timer.remainingSeconds > 0)) {
+        updateTimerDisplay(rowId);
+        if (timer.isRunning) {
+            document.querySelector(`tr[data-row-id="${rowId}"]`).classList.add('active');
+            document.getElementById(`timer-${rowId}`).classList.add('running');
+        }
+    }
+
+    resetRoundForm();
+    toggleAddRoundForm();
+
+    // A renamed game may belong in another group
+    regroupRows();
+    updateGlobalTimerDisplay();
+    saveRoundsToStorage();
+
+    const newRow = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    newRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    newRow.style.outline = '2px solid #58a6ff';
+    setTimeout(() => {
+        newRow.style.outline = 'none';
+    }, 2000);
+
+    console.log(`✅ Updated round "${round.gameName}" and saved to storage`);
+}
+
+/**
+ * Select a value in a <select>, adding an option for it if it is missing
+ * (e.g. a round whose icon is not one of the built-in choices)
+ * @param {HTMLSelectElement} select - The select element
+ * @param {string} value - The value to select
+ */
+function setSelectValue(select, value) {
+    if (![...select.options].some(option => option.value === value)) {
+        select.add(new Option(value, value));
+    }
+    select.value = value;
+}
+
+/**
+ * Delete a row from the table
+ * @param {number} rowId - The ID of the row to delete
+ */
+function deleteRow(rowId) {
+    if (!confirm('Delete this round?')) {
+        return;
+    }
+
+    // Stop timer if running
+    if (timers[rowId]) {
+        if (timers[rowId].intervalId) {
+            clearInterval(timers[rowId].intervalId);
+        }
+        delete timers[rowId];
+        saveTimerState();
+    }
+
+    // Remove row from DOM
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (row) {
+        row.remove();
+    }
+    delete roundsById[rowId];
+    if (showMode.rowId === rowId) stopShow();
+    refreshGroupMarkers();
+
+    // Update progress
+    updateProgress();
+    updateGlobalTimerDisplay();
+
+    // *** SAVE TO LocalStorage ***
+    saveRoundsToStorage();
+    pruneStoredMedia();
+}
+
+
+// ==========================================
+// MEDIA PICKER
+// Browse a local images/, audio/ or videos/ folder,
+// preview the files and fill in the resource path
+// (or create one round per selected file)
+// ==========================================
+
+/**
+ * Top-level media folders; picked paths are trimmed to start at one of these
+ * so they resolve from index.html
+ */
+const MEDIA_FOLDERS = ['images', 'audio', 'videos'];
+
+const MEDIA_EXTENSIONS = {
+    image: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'svg', 'avif'],
+    audio: ['mp3', 'wav', 'ogg', 'm4a', 'aac', 'flac'],
+    video: ['mp4', 'webm', 'ogv', 'mov', 'm4v']
+};
+
+/**
+ * Files from the last folder picked: [{ path, type, name, url }]
+ * url is an object URL used only for previews
+ */
+let mediaPickerFiles = [];
+
+/**
+ * Resource type of a file name, or null for non-media files
+ * @param {string} fileName - File name or path
+ * @returns {string|null} 'image', 'audio', 'video' or null
+ */
+function getMediaType(fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    return Object.keys(MEDIA_EXTENSIONS).find(type => MEDIA_EXTENSIONS[type].includes(extension)) || null;
+}
+
+/**
+ * Turn a path relative to the picked folder into a resource path,
+ * e.g. "Game-Night-Hub/images/screenstills/titanic.png" -> "images/screenstills/titanic.png"
+ * @param {string} relativePath - Path including the picked folder's name
+ * @returns {string|null} Resource path, or null if the file is outside the media folders
+ *                        (its path would not resolve from index.html)
+ */
+function toResourcePath(relativePath) {
+    const parts = relativePath.split('/').filter(Boolean);
+    const start = parts.findIndex(part => MEDIA_FOLDERS.includes(part.toLowerCase()));
+    return start >= 0 ? parts.slice(start).join('/') : null;
+}
+
+/**
+ * Who gets the files when the webkitdirectory fallback input changes
+ */
+let mediaFolderCallback = null;
+
+function openMediaPicker() {
+    chooseMediaFolder(files => {
+        if (files) showMediaPicker(files);
+    });
+}
+
+/**
+ * Ask for a folder: File System Access API where available,
+ * the hidden webkitdirectory input otherwise
+ * @param {Function} callback - Gets the folder's media files as { file, relativePath },
+ *                              or null if the user cancelled
+ */
+async function chooseMediaFolder(callback) {
+    if (!window.showDirectoryPicker) {
+        mediaFolderCallback = callback;
+        document.getElementById('mediaFolderInput').click();
+        return;
+    }
+
+    try {
+        const directory = await window.showDirectoryPicker({ id: 'gameNightMedia' });
+        const files = [];
+        await collectDirectoryFiles(directory, directory.name, files);
+        callback(files);
+    } catch (e) {
+        if (e.name !== 'AbortError') {
+            console.warn('Could not read the folder:', e);
+            alert('Could not read that folder.');
+        }
+        callback(null);
+    }
+}
+
+/**
+ * Walk a directory handle and collect its media files
+ * @param {FileSystemDirectoryHandle} directory - Folder to read
+ * @param {string} prefix - Path of the folder, starting with the picked folder's name
+ * @param {Array} files - Collected { file, relativePath } entries
+ */
+async function collectDirectoryFiles(directory, prefix, files) {
+    for await (const [name, handle] of directory.entries()) {
+        const path = `${prefix}/${name}`;
+        if (handle.kind === 'directory') {
+            await collectDirectoryFiles(handle, path, files);
+        } else if (getMediaType(name)) {
+            files.push({ file: await handle.getFile(), relativePath: path });
+        }
+    }
+}
+
+/**
+ * Change handler of the webkitdirectory fallback input
+ * @param {HTMLInputElement} input - The folder input
+ */
+function handleMediaFolderInput(input) {
+    const files = [...input.files]
+        .filter(file => getMediaType(file.name))
+        .map(file => ({ file: file, relativePath: file.webkitRelativePath || file.name }));
+    input.value = '';
+    finishMediaFolderInput(files);
+}
+
+/**
+ * Hand the fallback input's files (or null on cancel) to whoever asked for them
+ * @param {Array|null} files - { file, relativePath } entries
+ */
+function finishMediaFolderInput(files) {
+    const callback = mediaFolderCallback;
+    mediaFolderCallback = null;
+    if (callback) callback(files);
+}
+
+/**
+ * Open the picker dialog with a folder's files
+ * @param {Array} files - { file, relativePath } entries
+ */
+function showMediaPicker(files) {
+    releaseMediaPreviews();
+
+    // Files outside images/, audio/ and videos/ would get paths that don't load
+    const usable = files.filter(({ relativePath }) => toResourcePath(relativePath) !== null);
+    if (files.length > 0 && usable.length === 0) {
+        alert(`These files are not inside the hub's ${MEDIA_FOLDERS.map(folder => `${folder}/`).join(', ')} folders, so their paths would not load.\n\nPick the Game Night Hub folder, or one of those folders inside it.`);
+        return;
+    }
+    if (usable.length < files.length) {
+        console.warn(`Skipped ${files.length - usable.length} files outside the media folders`);
+    }
+
+    mediaPickerFiles = usable
+        .map(({ file, relativePath }) => ({
+            path: toResourcePath(relativePath),
+            type: getMediaType(file.name),
+            name: file.name,
+            file: file,
+            url: URL.createObjectURL(file)
+        }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+
+    if (mediaPickerFiles.length === 0) {
+        alert('No images, audio or video files in that folder.');
+        return;
+    }
+
+    // Start on the form's resource type when it is a media type
+    const formType = document.getElementById('newResourceType').value;
+    document.getElementById('mediaTypeFilter').value = MEDIA_EXTENSIONS[formType] ? formType : '';
+    document.getElementById('mediaSearch').value = '';
+
+    renderMediaPicker();
+    document.getElementById('mediaPickerModal').classList.add('open');
+}
+
+function closeMediaPicker() {
+    document.getElementById('mediaPickerModal').classList.remove('open');
+    releaseMediaPreviews();
+}
+
+function isMediaPickerOpen() {
+    return document.getElementById('mediaPickerModal').classList.contains('open');
+}
+
+function releaseMediaPreviews() {
+    mediaPickerFiles.forEach(entry => URL.revokeObjectURL(entry.url));
+    mediaPickerFiles = [];
+}
+
+/**
+ * Files that pass the type filter and search box, with their index in mediaPickerFiles
+ */
+function getVisibleMediaFiles() {
+    const type = document.getElementById('mediaTypeFilter').value;
+    const search = document.getElementById('mediaSearch').value.trim().toLowerCase();
+    return mediaPickerFiles
+        .map((entry, index) => ({ ...entry, index }))
+        .filter(entry => (!type || entry.type === type) && (!search || entry.path.toLowerCase().includes(search)));
+}
+
+/**
+ * Redraw the grid of previews
+ */
+function renderMediaPicker() {
+    const visible = getVisibleMediaFiles();
+    const preview = entry => {
+        if (entry.type === 'image') return `<img src="${entry.url}" alt="" loading="lazy">`;
+        if (entry.type === 'video') return `<video src="${entry.url}" preload="metadata" muted></video>`;
+        return `<audio src="${entry.url}" controls preload="none"></audio>`;
+    };
+
+    document.getElementById('mediaPickerGrid').innerHTML = visible.length === 0
+        ? '<p class="media-picker-empty">No files match.</p>'
+        : visible.map(entry => `
+            <div class="media-item" data-index="${entry.index}">
+                <label class="media-select">
+                    <input type="checkbox" class="media-checkbox" value="${entry.index}" onchange="updateMediaSelection()"
+                        aria-label="Select ${escapeHtml(entry.name)}">
+                </label>
+                <div class="media-preview">${preview(entry)}</div>
+                <button class="btn media-use" onclick="chooseMediaFile(${entry.index})" title="${escapeHtml(entry.path)}">
+                    ${escapeHtml(entry.path)}
+                </button>
+            </div>
+        `).join('');
+
+    document.getElementById('mediaPickerCount').textContent =
+        `${visible.length} of ${mediaPickerFiles.length} files`;
+    updateMediaSelection();
+}
+
+/**
+ * Keep the bulk-create button in step with the checked files
+ */
+function updateMediaSelection() {
+    const count = document.querySelectorAll('#mediaPickerGrid .media-checkbox:checked').length;
+    const button = document.getElementById('mediaBulkCreateBtn');
+    button.disabled = count === 0;
+    button.textContent = `➕ Create ${count} ${count === 1 ? 'Round' : 'Rounds'}`;
+}
+
+function selectAllMedia(checked) {
+    document.querySelectorAll('#mediaPickerGrid .media-checkbox').forEach(box => {
+        box.checked = checked;
+    });
+    updateMediaSelection();
+}
+
+/**
+ * Put one file's path (and resource type) into the add-round form
+ * @param {number} index - Index into mediaPickerFiles
+ */
+function chooseMediaFile(index) {
+    const entry = mediaPickerFiles[index];
+    if (!entry) return;
+
+    document.getElementById('newResourceType').value = entry.type;
+    toggleResourceInput();
+    document.getElementById('newResourcePath').value = entry.path;
+    closeMediaPicker();
+}
+
+/**
+ * Hand the checked files to the bulk import review
+ */
+function createRoundsFromSelectedMedia() {
+    const selected = [...document.querySelectorAll('#mediaPickerGrid .media-checkbox:checked')]
+        .map(box => mediaPickerFiles[parseInt(box.value)]);
+    if (selected.length === 0) return;
+
+    openBulkImport(selected.map(entry => ({ file: entry.file, path: entry.path, type: entry.type })));
+    closeMediaPicker();
+}
+
+// ==========================================
+// BULK IMPORT
+// One round per image/audio/video file, with the answer
+// taken from the file name and reviewed before adding
+// ==========================================
+
+/**
+ * Files waiting in the review grid: [{ path, type, answer, url, include }]
+ * url is an object URL for the thumbnail, released when the review closes
+ */
+let bulkImportItems = [];
+
+/**
+ * Guess an answer from a file name,
+ * e.g. "the-dark_knight.2008.jpg" -> "The Dark Knight 2008"
+ * @param {string} fileName - File name or path
+ * @returns {string} Answer text
+ */
+function answerFromFileName(fileName) {
+    return fileName
+        .split('/').pop()
+        .replace(/\.[^.]+$/, '')
+        .replace(/[-_.+]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/(^|\s)(\p{Ll})/gu, (match, space, letter) => space + letter.toUpperCase());
+}
+
+/**
+ * Folder a loose file is assumed to live in, since a plain file input
+ * does not say where the file came from
+ * @param {string} type - 'image', 'audio' or 'video'
+ */
+function defaultBulkFolder(type) {
+    if (type === 'audio') return 'audio/';
+    if (type === 'video') return 'videos/';
+    return 'images/screenstills/';
+}
+
+function openBulkImportDialog() {
+    document.getElementById('bulkFileInput').click();
+}
+
+/**
+ * Change handler of the bulk file input
+ * @param {HTMLInputElement} input - The multi-file input
+ */
+function handleBulkFileInput(input) {
+    const folder = document.getElementById('bulkFolder').value.trim();
+    const entries = [...input.files]
+        .filter(file => ['image', 'audio', 'video'].includes(getMediaType(file.name)))
+        .map(file => {
+            const type = getMediaType(file.name);
+            const prefix = (folder || defaultBulkFolder(type)).replace(/\/?$/, '/');
+            return { file: file, path: prefix + file.name, type: type };
+        });
+    input.value = '';
+
+    if (entries.length === 0) {
+        alert('Pick image, audio or video files to import.');
+        return;
+    }
+    openBulkImport(entries);
+}
+
+/**
+ * Add files to the review grid and show the panel
+ * @param {Array} entries - { file, path, type } for each file
+ */
+function openBulkImport(entries) {
+    const known = new Set(bulkImportItems.map(item => item.path));
+    entries
+        .filter(entry => !known.has(entry.path))
+        .forEach(entry => bulkImportItems.push({
+            path: entry.path,
+            type: entry.type,
+            answer: answerFromFileName(entry.path),
+            url: URL.createObjectURL(entry.file),
+            include: true
+        }));
+
+    // Audio rounds get a music-flavoured default; images stay on Guess the Movie
+    if (!document.getElementById('bulkGameName').value.trim()) {
+        const allAudio = bulkImportItems.every(item => item.type === 'audio');
+        document.getElementById('bulkGameName').value = 'Guess the Movie';
+        document.getElementById('bulkGameIcon').value = allAudio ? '🎵' : '🎬';
+        document.getElementById('bulkPrompt').value = allAudio ? 'Which movie is this sound from?' : 'Which movie is this?';
+    }
+
+    document.getElementById('bulkImportPanel').style.display = 'block';
+    renderBulkImport();
+}
+
+/**
+ * Redraw the review grid
+ */
+function renderBulkImport() {
+    const list = document.getElementById('bulkImportList');
+    list.innerHTML = bulkImportItems.length === 0
+        ? '<tr><td colspan="5" class="bank-empty">No files yet. Choose some files to import.</td></tr>'
+        : bulkImportItems.map((item, index) => `
+            <tr class="${item.include ? '' : 'bulk-skipped'}">
+                <td><input type="checkbox" ${item.include ? 'checked' : ''}
+                    onchange="updateBulkItem(${index}, 'include', this.checked)" aria-label="Include this file"></td>
+                <td class="bulk-preview">${buildBulkPreviewHTML(item)}</td>
+                <td><input type="text" class="bank-tag" value="${escapeHtml(item.answer)}"
+                    oninput="updateBulkItem(${index}, 'answer', this.value)" aria-label="Answer"></td>
+                <td><input type="text" class="bank-tag" value="${escapeHtml(item.path)}"
+                    oninput="updateBulkItem(${index}, 'path', this.value)" aria-label="Resource path"></td>
+                <td><button class="btn btn-delete" onclick="removeBulkItem(${index})" aria-label="Remove from import">✖️</button></td>
+            </tr>
+        `).join('');
+
+    const count = bulkImportItems.filter(item => item.include).length;
+    document.getElementById('bulkImportCount').textContent =
+        `${count} of ${bulkImportItems.length} files will become rounds`;
+    const button = document.getElementById('bulkImportBtn');
+    button.disabled = count === 0;
+    button.textContent = `✅ Add ${count} ${count === 1 ? 'Round' : 'Rounds'}`;
+}
+
+/**
+ * Small preview of a reviewed file
+ * @param {Object} item - Entry of bulkImportItems
+ * @returns {string} Safe HTML (url is an object URL)
+ */
+function buildBulkPreviewHTML(item) {
+    switch (item.type) {
+        case 'image':
+            return `<img src="${item.url}" alt="" loading="lazy">`;
+        case 'video':
+            return `<video src="${item.url}" controls muted preload="metadata"></video>`;
+        default:
+            return `<audio src="${item.url}" controls preload="none"></audio>`;
+    }
+}
+
+/**
+ * Edit one field of a reviewed file
+ * @param {number} index - Index into bulkImportItems
+ * @param {string} field - 'include', 'answer' or 'path'
+ * @param {*} value - New value
+ */
+function updateBulkItem(index, field, value) {
+    const item = bulkImportItems[index];
+    if (!item) return;
+    item[field] = value;
+
+    // Only the include toggle changes anything else on screen; re-rendering on
+    // every keystroke would steal focus from the text boxes
+    if (field === 'include') renderBulkImport();
+}
+
+function removeBulkItem(index) {
+    const [item] = bulkImportItems.splice(index, 1);
+    if (item) URL.revokeObjectURL(item.url);
+    renderBulkImport();
+}
+
+function closeBulkImport() {
+    bulkImportItems.forEach(item => URL.revokeObjectURL(item.url));
+    bulkImportItems = [];
+    document.getElementById('bulkImportPanel').style.display = 'none';
+}
+
+/**
+ * Create a round for every included file, sharing the panel's game name, icon, prompt and timer
+ */
+function commitBulkImport() {
+    const included = bulkImportItems.filter(item => item.include && item.path.trim());
+    if (included.length === 0) return;
+
+    const gameName = document.getElementById('bulkGameName').value.trim();
+    const promptText = document.getElementById('bulkPrompt').value.trim();
+    if (!gameName || !promptText) {
+        alert('Please fill in the game name and prompt shared by the new rounds.');
+        return;
+    }
+
+    const shared = {
+        gameName: gameName,
+        gameIcon: document.getElementById('bulkGameIcon').value,
+        promptText: promptText,
+        timerMin: parseInt(document.getElementById('bulkTimerMin').value) || 0,
+        timerSec: parseInt(document.getElementById('bulkTimerSec').value) || 0
+    };
+
+    included.forEach(item => appendRoundToTable({
+        ...shared,
+        resourceType: item.type,
+        resourceSrc: item.path.trim(),
+        answer: item.answer.trim()
+    }));
+
+    closeBulkImport();
+    updateProgress();
+    saveRoundsToStorage();
+    console.log(`✅ Bulk imported ${included.length} rounds`);
+}
+
+
+// ==========================================
+// ROW REORDERING SYSTEM
+// Move rows up or down in the table, or drag them
+// by the ⠿ handle (keyboard: pick up / arrows / drop)
+// ==========================================
+
+/**
+ * Move a row up in the table
+ * @param {number} rowId - The ID of the row to move
+ */
+function moveRowUp(rowId) {
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (!row) return;
+
+    const previousRow = row.previousElementSibling;
+
+    // If there's no previous row, we're already at the top
+    if (!previousRow) {
+        console.log('Already at top');
+        return;
+    }
+
+    // Move the row before its previous sibling (or, grouped, its game before the previous game)
+    if (!moveGroupPast(row, -1)) row.parentNode.insertBefore(row, previousRow);
+    regroupRows();
+
+    // Visual feedback
+    row.style.outline = '2px solid #58a6ff';
+    setTimeout(() => {
+        row.style.outline = 'none';
+    }, 500);
+
+    // Save to LocalStorage
+    saveRoundsToStorage();
+}
+
+/**
+ * Move a row down in the table
+ * @param {number} rowId - The ID of the row to move
+ */
+function moveRowDown(rowId) {
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (!row) return;
+
+    const nextRow = row.nextElementSibling;
+
+    // If there's no next row, we're already at the bottom
+    if (!nextRow) {
+        console.log('Already at bottom');
+        return;
+    }
+
+    // Move the row after its next sibling (or, grouped, its game after the next game)
+    if (!moveGroupPast(row, +1)) row.parentNode.insertBefore(nextRow, row);
+    regroupRows();
+
+    // Visual feedback
+    row.style.outline = '2px solid #58a6ff';
+    setTimeout(() => {
+        row.style.outline = 'none';
+    }, 500);
+
+    // Save to LocalStorage
+    saveRoundsToStorage();
+}
+
+// ----- Drag and drop (mouse, touch and pen via pointer events) -----
+
+/**
+ * The row being dragged or carried with the keyboard:
+ * { row, originalNext, pointerId, keyboard }
+ */
+let rowDrag = null;
+
+// Distance from the window edge (px) where dragging scrolls the page
+const DRAG_SCROLL_EDGE = 60;
+
+/**
+ * Start dragging a row by its handle
+ * @param {PointerEvent} event - pointerdown on the drag handle
+ * @param {number} rowId - The ID of the row
+ */
+function startRowDrag(event, rowId) {
+    if (rowDrag || event.button !== 0) return;
+
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (!row) return;
+
+    event.preventDefault();
+    const handle = event.currentTarget;
+    handle.setPointerCapture(event.pointerId);
+
+    rowDrag = { row: row, originalNext: row.nextElementSibling, pointerId: event.pointerId, keyboard: false };
+    row.classList.add('dragging');
+
+    handle.addEventListener('pointermove', moveRowDrag);
+    handle.addEventListener('pointerup', endRowDrag);
+    handle.addEventListener('pointercancel', endRowDrag);
+}
+
+/**
+ * Move the dragged row above or below the row under the pointer
+ */
+function moveRowDrag(event) {
+    if (!rowDrag || event.pointerId !== rowDrag.pointerId) return;
+
+    if (event.clientY < DRAG_SCROLL_EDGE) window.scrollBy(0, -10);
+    if (event.clientY > window.innerHeight - DRAG_SCROLL_EDGE) window.scrollBy(0, 10);
+
+    const target = document.elementFromPoint(event.clientX, event.clientY);
+    const targetRow = target && target.closest('#tableBody .game-row');
+    if (!targetRow || targetRow === rowDrag.row) return;
+
+    const rect = targetRow.getBoundingClientRect();
+    const before = event.clientY < rect.top + rect.height / 2;
+    targetRow.parentNode.insertBefore(rowDrag.row, before ? targetRow : targetRow.nextElementSibling);
+}
+
+/**
+ * Drop (pointerup) or put the row back where it was (pointercancel)
+ */
+function endRowDrag(event) {
+    if (!rowDrag || event.pointerId !== rowDrag.pointerId) return;
+
+    const handle = event.currentTarget;
+    handle.removeEventListener('pointermove', moveRowDrag);
+    handle.removeEventListener('pointerup', endRowDrag);
+    handle.removeEventListener('pointercancel', endRowDrag);
+
+    finishRowDrag(event.type === 'pointerup');
+}
+
+/**
+ * Drop the carried row and save, or cancel and restore its old place
+ * @param {boolean} keep - true to keep the new position
+ */
+function finishRowDrag(keep) {
+    const { row, originalNext } = rowDrag;
+    rowDrag = null;
+    row.classList.remove('dragging', 'picked-up');
+
+    const moved = row.nextElementSibling !== originalNext;
+    if (!keep) {
+        row.parentNode.insertBefore(row, originalNext);
+        refreshGroupMarkers();
+        return;
+    }
+    if (moved) {
+        regroupRows();
+        saveRoundsToStorage();
+    }
+}
+
+// ----- Keyboard fallback: Enter/Space picks up and drops, arrows move, Escape cancels -----
+
+/**
+ * Announce drag progress to screen readers
+ * @param {string} message - Text to announce
+ */
+function announceDrag(message) {
+    const announcer = document.getElementById('dragAnnouncer');
+    if (announcer) announcer.textContent = message;
+}
+
+function describeRowPosition(row) {
+    const rows = getGameRows();
+    const round = roundsById[parseInt(row.dataset.rowId)];
+    return `${round ? round.gameName : 'Round'}, position ${rows.indexOf(row) + 1} of ${rows.length}`;
+}
+
+/**
+ * keydown on a drag handle
+ * @param {KeyboardEvent} event - The key event
+ * @param {number} rowId - The ID of the row
+ */
+function handleDragKey(event, rowId) {
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (!row) return;
+    const carrying = rowDrag && rowDrag.keyboard && rowDrag.row === row;
+
+    if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        if (carrying) {
+            finishRowDrag(true);
+            announceDrag(`Dropped ${describeRowPosition(row)}`);
+        } else if (!rowDrag) {
+            rowDrag = { row: row, originalNext: row.nextElementSibling, pointerId: null, keyboard: true };
+            row.classList.add('picked-up');
+            announceDrag(`Picked up ${describeRowPosition(row)}. Use the arrow keys to move, Enter to drop, Escape to cancel.`);
+        }
+        return;
+    }
+
+    if (!carrying) return;
+
+    if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+        event.preventDefault();
+        const sibling = event.key === 'ArrowUp' ? row.previousElementSibling : row.nextElementSibling;
+        if (!sibling) return;
+
+        // Move the neighbour rather than the carried row, so its handle keeps focus
+        row.parentNode.insertBefore(sibling, event.key === 'ArrowUp' ? row.nextElementSibling : row);
+        row.scrollIntoView({ block: 'nearest' });
+        announceDrag(describeRowPosition(row));
+    } else if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        finishRowDrag(false);
+        announceDrag(`Move cancelled, ${describeRowPosition(row)}`);
+    }
+}
+
+/**
+ * Dropping a carried row when its handle loses focus keeps things simple:
+ * the row stays where it was carried to
+ */
+function handleDragBlur(rowId) {
+    if (rowDrag && rowDrag.keyboard && rowDrag.row.dataset.rowId === String(rowId)) {
+        const row = rowDrag.row;
+        finishRowDrag(true);
+        announceDrag(`Dropped ${describeRowPosition(row)}`);
+    }
+}
+
+
+// ==========================================
+// SHUFFLE / SORT / GROUP
+// Reorder the whole table at once; the new order
+// is saved like any single move
+// ==========================================
+
+const TABLE_VIEW_STORAGE_KEY = 'gameNightTableView';
+
+/**
+ * grouped: keep each game's rounds together under a group label
+ */
+let tableView = { grouped: false };
+
+function loadTableView() {
+    try {
+        const raw = localStorage.getItem(TABLE_VIEW_STORAGE_KEY);
+        if (raw) tableView = { ...tableView, ...JSON.parse(raw) };
+    } catch (e) {
+        console.warn('Could not load table view from storage:', e);
+    }
+}
+
+function saveTableView() {
+    try {
+        localStorage.setItem(TABLE_VIEW_STORAGE_KEY, JSON.stringify(tableView));
+    } catch (e) {
+        console.warn('Could not save table view to storage:', e);
+    }
+}
+
+function getGameRows() {
+    return [...document.querySelectorAll('#tableBody .game-row')];
+}
+
+/**
+ * Game a row belongs to, for shuffling within a game and grouping
+ * @param {HTMLElement} row - The table row element
+ */
+function rowGameKey(row) {
+    const round = roundsById[parseInt(row.dataset.rowId)];
+    return round ? round.gameName.trim().toLowerCase() : '';
+}
+
+/**
+ * Put the rows in the given order and save it
+ * @param {Array<HTMLElement>} rows - Every game row, in the new order
+ */
+function applyRowOrder(rows) {
+    const tableBody = document.getElementById('tableBody');
+    rows.forEach(row => tableBody.appendChild(row));
+    regroupRows();
+    saveRoundsToStorage();
+}
+
+/**
+ * Shuffle the table; "within each game" keeps every game's slots
+ * and only shuffles its own rounds between them
+ */
+function shuffleRows() {
+    const rows = getGameRows();
+    if (rows.length < 2) return;
+
+    const withinGame = document.getElementById('shuffleWithinGame').checked;
+    if (!confirm(`Shuffle ${rows.length} rounds${withinGame ? ' within each game' : ''}? The current order will be lost.`)) {
+        return;
+    }
+
+    if (!withinGame) {
+        applyRowOrder(shuffleArray(rows));
+        return;
+    }
+
+    const byGame = {};
+    rows.forEach(row => {
+        const game = rowGameKey(row);
+        (byGame[game] = byGame[game] || []).push(row);
+    });
+    Object.values(byGame).forEach(shuffleArray);
+    applyRowOrder(rows.map(row => byGame[rowGameKey(row)].shift()));
+}
+
+/**
+ * Compare functions for sortRows(), on round data
+ */
+const ROW_SORTS = {
+    game: (a, b) => a.gameName.localeCompare(b.gameName),
+    icon: (a, b) => a.gameIcon.localeCompare(b.gameIcon),
+    timer: (a, b) => (a.timerMin * 60 + a.timerSec) - (b.timerMin * 60 + b.timerSec),
+    completion: (a, b) => Number(a.isCompleted) - Number(b.isCompleted)
+};
+
+/**
+ * Sort the table (stable, so equal rounds keep their order)
+ * @param {string} key - A ROW_SORTS key
+ */
+function sortRows(key) {
+    const compare = ROW_SORTS[key];
+    if (!compare) return;
+
+    const rows = getGameRows();
+    if (rows.length < 2 || !confirm('Sort the table? The current order will be lost.')) return;
+
+    const rounds = new Map(rows.map(row => [row, readRoundFromRow(row)]));
+    applyRowOrder(rows.slice().sort((a, b) => compare(rounds.get(a), rounds.get(b))));
+}
+
+/**
+ * Sort-select handler: sort, then put the select back on its placeholder
+ * @param {HTMLSelectElement} select - The sort select
+ */
+function handleSortSelect(select) {
+    sortRows(select.value);
+    select.value = '';
+}
+
+/**
+ * Switch the group-by-game view; turning it on gathers each game's
+ * rounds where that game first appears in the table
+ */
+function toggleGroupByGame() {
+    tableView.grouped = !tableView.grouped;
+    saveTableView();
+
+    regroupRows();
+    if (tableView.grouped) saveRoundsToStorage();
+}
+
+/**
+ * While grouped, gather each game's rounds where that game first appears
+ * (stable, so rounds keep their order within a game), then redraw the labels.
+ * Called by everything that adds, edits or moves rows, before it saves.
+ */
+function regroupRows() {
+    if (tableView.grouped) {
+        const rows = getGameRows();
+        const games = [...new Set(rows.map(rowGameKey))];
+        const grouped = rows.slice().sort((a, b) => games.indexOf(rowGameKey(a)) - games.indexOf(rowGameKey(b)));
+
+        // Only touch the DOM when something is out of place (moving a row drops its focus)
+        if (grouped.some((row, index) => row !== rows[index])) {
+            const tableBody = document.getElementById('tableBody');
+            grouped.forEach(row => tableBody.appendChild(row));
+        }
+    }
+    refreshGroupMarkers();
+}
+
+/**
+ * While grouped, a row can't leave its game's group, so moving it past the
+ * group's edge moves the whole group past the neighbouring game's group instead
+ * @param {HTMLElement} row - The row being moved
+ * @param {number} direction - -1 for up, +1 for down
+ * @returns {boolean} True if the groups were moved (nothing is done otherwise)
+ */
+function moveGroupPast(row, direction) {
+    const neighbour = direction < 0 ? row.previousElementSibling : row.nextElementSibling;
+    if (!tableView.grouped || !neighbour || rowGameKey(neighbour) === rowGameKey(row)) return false;
+
+    const rows = getGameRows();
+    const own = rows.filter(other => rowGameKey(other) === rowGameKey(row));
+    const passed = rows.filter(other => rowGameKey(other) === rowGameKey(neighbour));
+    const before = direction < 0 ? passed[0] : passed[passed.length - 1].nextElementSibling;
+    own.forEach(other => row.parentNode.insertBefore(other, before));
+    return true;
+}
+
+/**
+ * Label the first row of each run of the same game while grouped
+ */
+function refreshGroupMarkers() {
+    const tableBody = document.getElementById('tableBody');
+    if (!tableBody) return;
+
+    tableBody.classList.toggle('grouped-view', tableView.grouped);
+    const button = document.getElementById('groupByGameBtn');
+    if (button) button.classList.toggle('active', tableView.grouped);
+
+    const rows = getGameRows();
+    rows.forEach((row, index) => {
+        const game = rowGameKey(row);
+        const startsGroup = tableView.grouped && (index === 0 || rowGameKey(rows[index - 1]) !== game);
+        row.classList.toggle('group-start', startsGroup);
+
+        const cell = row.querySelector('.game-name');
+        if (!startsGroup) {
+            delete cell.dataset.group;
+            return;
+        }
+
+        let size = 1;
+        while (rows[index + size] && rowGameKey(rows[index + size]) === game) size++;
+        const round = roundsById[parseInt(row.dataset.rowId)];
+        cell.dataset.group = `${round ? round.gameName : ''} · ${size} ${size === 1 ? 'round' : 'rounds'}`;
+    });
+}
+
+
+// ==========================================
+// IMAGE MODAL SYSTEM
+// ==========================================
+
+/**
+ * Open the image modal with the specified image
+ * @param {string} src - The image source URL
+ * @param {string} caption - The image caption
+ */
+function openImageModal(src, caption) {
+    const modal = document.getElementById('imageModal');
+    const modalImage = document.getElementById('modalImage');
+    const modalCaption = document.getElementById('modalCaption');
+
+    modalImage.src = src;
+    modalCaption.textContent = caption || '';
+    modal.classList.add('open');
+
+    // Prevent body scroll
+    document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Close the image modal
+ * @param {Event} event - Optional click event
+ */
+function closeImageModal(event) {
+    // If clicking on the image itself, don't close
+    if (event && event.target.id === 'modalImage') {
+        return;
+    }
+
+    const modal = document.getElementById('imageModal');
+    modal.classList.remove('open');
+
+    // Restore body scroll unless the stage view is still covering the page
+    if (!isStageOpen()) document.body.style.overflow = '';
+}
+
+/**
+ * Show message when image placeholder is clicked
+ */
+function showImageMessage() {
+    alert('To add an image:\n\n1. Save your image file\n2. Place it in the "images" folder\n3. Update the src attribute in index.html\n\nExample: images/actor-eyes.jpg');
+}
+
+
+// ==========================================
+// MEDIA CLIPS
+// Audio and video rounds can play just part of a
+// file (clipStart..clipEnd); video can stay muted
+// until the answer is revealed
+// ==========================================
+
+/**
+ * Data attributes that mark a media element as clipped
+ * @param {Object} round - The round
+ * @returns {string} Attribute HTML ('' when the whole file plays)
+ */
+function buildClipAttributes(round) {
+    if (!round.clipStart && !round.clipEnd) return '';
+    return ` data-clip-start="${round.clipStart}" data-clip-end="${round.clipEnd}"`;
+}
+
+/**
+ * Media fragment so the first frame shown is the clip's start
+ * @param {Object} round - The round
+ * @returns {string} e.g. "#t=12,20"
+ */
+function buildClipFragment(round) {
+    if (!round.clipStart && !round.clipEnd) return '';
+    return round.clipEnd ? `#t=${round.clipStart},${round.clipEnd}` : `#t=${round.clipStart}`;
+}
+
+/**
+ * Should a round's media be silent right now?
+ * @param {Object} round - The round
+ */
+function isClipMuted(round) {
+    return round.mutedUntilReveal && !round.revealed.answer;
+}
+
+/**
+ * Keep clipped media inside its clip: start at clipStart, stop (and rewind) at clipEnd
+ * Listens in the capture phase on the document, so table rows and the stage are both covered
+ * @param {Event} event - loadedmetadata, play or timeupdate
+ */
+function enforceMediaClip(event) {
+    const media = event.target;
+    if (!media.dataset || media.dataset.clipStart === undefined) return;
+
+    const start = parseFloat(media.dataset.clipStart) || 0;
+    const end = parseFloat(media.dataset.clipEnd) || 0;
+    const pastEnd = end > 0 && media.currentTime >= end;
+
+    if (event.type === 'timeupdate') {
+        if (pastEnd) {
+            media.pause();
+            media.currentTime = start;
+        }
+    } else if (media.currentTime < start || pastEnd) {
+        media.currentTime = start;
+    }
+}
+
+/**
+ * Unmute (or re-mute) a row's video after its answer is revealed or hidden
+ * @param {HTMLElement} row - The game row
+ */
+function syncClipMute(row) {
+    const round = roundsById[row.dataset.rowId];
+    const video = row.querySelector('.resource-cell video');
+    if (round && video && round.mutedUntilReveal) {
+        video.muted = isClipMuted(round);
+    }
+}
+
+// ----- Audio snippets -----
+
+/**
+ * Seconds added to an audio snippet by each "Play longer"
+ */
+const SNIPPET_EXTEND_SECONDS = 5;
+
+/**
+ * Extra seconds granted by "Play longer", per row ID
+ * Not saved: every night starts from the short snippet again
+ */
+const snippetExtraSeconds = {};
+
+/**
+ * Audio player for players' ears only: one big button, no native controls
+ * (so the file's length and name stay hidden), plus replay/longer for the host
+ * @param {Object} round - The round
+ * @param {string} extraClass - Extra class for the container (e.g. on the stage)
+ * @returns {string} Safe HTML
+ */
+function buildSnippetPlayerHTML(round, extraClass = '') {
+    const src = escapeHtml(resolveMediaSrc(round.resourceSrc));
+    const length = round.clipEnd ? round.clipEnd - round.clipStart : 0;
+    const clipRound = round.clipEnd ? { ...round, clipEnd: round.clipEnd + (snippetExtraSeconds[round.id] || 0) } : round;
+
+    return `
+        <div class="audio-snippet ${extraClass}" data-round-id="${round.id}">
+            <audio class="snippet-audio" preload="metadata" src="${src}"${buildClipAttributes(clipRound)}></audio>
+            <button class="btn btn-snippet-play" onclick="toggleSnippet(this)" aria-label="Play clip">▶️</button>
+            <div class="snippet-actions">
+                ${length ? `<span class="snippet-length">${formatSnippetLength(clipRound)}</span>` : ''}
+                <button class="btn btn-reset" onclick="replaySnippet(this)" aria-label="Play again">🔁</button>
+                ${length ? `<button class="btn btn-reset" onclick="extendSnippet(this)" aria-label="Play ${SNIPPET_EXTEND_SECONDS} seconds longer">➕${SNIPPET_EXTEND_SECONDS}s</button>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * e.g. "8s" for the current snippet length
+ * @param {Object} round - Round with the (possibly extended) clip
+ */
+function formatSnippetLength(round) {
+    return `${Math.round((round.clipEnd - round.clipStart) * 10) / 10}s`;
+}
+
+function getSnippetAudio(button) {
+    return button.closest('.audio-snippet').querySelector('audio');
+}
+
+/**
+ * Big play button: play from the snippet start, or pause
+ * @param {HTMLButtonElement} button - Any button inside the player
+ */
+function toggleSnippet(button) {
+    const audio = getSnippetAudio(button);
+    if (!audio.paused) {
+        audio.pause();
+        return;
+    }
+    audio.play().catch(e => console.warn('Could not play the clip:', e));
+}
+
+/**
+ * Play the snippet again from its start
+ * @param {HTMLButtonElement} button - Any button inside the player
+ */
+function replaySnippet(button) {
+    const audio = getSnippetAudio(button);
+    audio.currentTime = parseFloat(audio.dataset.clipStart) || 0;
+    audio.play().catch(e => console.warn('Could not play the clip:', e));
+}
+
+/**
+ * Give the players a few more seconds and replay from the start
+ * @param {HTMLButtonElement} button - Any button inside the player
+ */
+function extendSnippet(button) {
+    const player = button.closest('.audio-snippet');
+    const rowId = parseInt(player.dataset.roundId);
+    const round = roundsById[rowId];
+    if (!round || !round.clipEnd) return;
+
+    snippetExtraSeconds[rowId] = (snippetExtraSeconds[rowId] || 0) + SNIPPET_EXTEND_SECONDS;
+
+    // Every player of this round (table row and stage) gets the longer clip
+    const clipEnd = round.clipEnd + snippetExtraSeconds[rowId];
+    document.querySelectorAll(`.audio-snippet[data-round-id="${rowId}"]`).forEach(other => {
+        other.querySelector('audio').dataset.clipEnd = clipEnd;
+        const length = other.querySelector('.snippet-length');
+        if (length) length.textContent = formatSnippetLength({ clipStart: round.clipStart, clipEnd: clipEnd });
+    });
+
+    replaySnippet(button);
+}
+
+/**
+ * Stop a round's audio, e.g. when its timer runs out
+ * @param {number} rowId - The ID of the row
+ */
+function stopRoundAudio(rowId) {
+    document.querySelectorAll(`.audio-snippet[data-round-id="${rowId}"] audio`).forEach(audio => audio.pause());
+}
+
+/**
+ * Show play/pause on the big button as the audio starts and stops
+ * @param {Event} event - play, pause or ended
+ */
+function syncSnippetButton(event) {
+    const player = event.target.closest && event.target.closest('.audio-snippet');
+    if (!player) return;
+
+    const playing = !event.target.paused;
+    player.classList.toggle('playing', playing);
+    const button = player.querySelector('.btn-snippet-play');
+    button.textContent = playing ? '⏸️' : '▶️';
+    button.setAttribute('aria-label', playing ? 'Pause clip' : 'Play clip');
+}
+
+
+// ==========================================
+// PROGRESSIVE IMAGE REVEAL
+// Image rounds can be uncovered step by step on a
+// canvas (pixelation, blur or tiles), by hand or along
+// with the timer; early guesses are worth more points
+// ==========================================
+
+/**
+ * Ways an image can be revealed gradually ('' = all at once with the Reveal button)
+ */
+const REVEAL_MODES = ['pixelate', 'blur', 'tiles'];
+
+const MIN_REVEAL_STEPS = 2;
+const MAX_REVEAL_STEPS = 12;
+
+// Canvas width cap, so huge screen stills stay cheap to redraw
+const REVEAL_CANVAS_MAX_WIDTH = 960;
+
+// Pixelation starts this many blocks across; tiles are a square grid this many across
+const REVEAL_PIXELS_START = 6;
+const REVEAL_TILES_ACROSS = 4;
+
+/**
+ * @param {Object} round - The round
+ * @returns {boolean} True for image rounds revealed step by step
+ */
+function isProgressiveReveal(round) {
+    return round.resourceType === 'image' && REVEAL_MODES.includes(round.revealMode);
+}
+
+/**
+ * Points a correct guess is worth at the current step:
+ * full points on the first step, down to a share of them when fully revealed
+ * @param {Object} round - The round
+ * @returns {number} Points to award
+ */
+function getAwardPoints(round) {
+    if (!isProgressiveReveal(round) || round.revealStep <= 1 || !round.points) return round.points;
+    const share = (round.revealSteps - round.revealStep + 1) / round.revealSteps;
+    return Math.max(1, Math.round(round.points * share));
+}
+
+/**
+ * Canvas plus a hidden <img> that draws onto it once loaded
+ * Shared by the table, the stage and the audience window
+ * @param {Object} round - Round (or audience round) with id, resourceSrc, revealMode, revealStep, revealSteps
+ * @param {string} extraClass - Class for the canvas (size differs per view)
+ * @returns {string} Safe HTML
+ */
+function buildRevealFrameHTML(round, extraClass) {
+    return `
+        <div class="reveal-frame ${round.revealStep > 0 ? '' : 'hidden'}" data-mode="${escapeHtml(round.revealMode)}"
+            data-step="${round.revealStep}" data-steps="${round.revealSteps}" data-seed="${round.id}">
+            <img class="reveal-source" src="${escapeHtml(resolveMediaSrc(round.resourceSrc))}" alt="" hidden
+                onload="drawRevealFrame(this.parentElement)">
+            <canvas class="reveal-canvas ${extraClass}" role="img" aria-label="Partly revealed round image"></canvas>
+        </div>
+    `;
+}
+
+/**
+ * Host controls and frame for a progressive image round
+ * @param {Object} round - The round
+ * @param {string} canvasClass - Class for the canvas
+ * @returns {string} Safe HTML
+ */
+function buildProgressiveRevealHTML(round, canvasClass) {
+    const done = round.revealStep >= round.revealSteps;
+    return `
+        <div class="spoiler-container progressive-reveal" data-round-id="${round.id}">
+            <div class="reveal-controls">
+                <button class="btn btn-reveal reveal-more" onclick="changeRevealStep(${round.id}, 1)" ${done ? 'disabled' : ''}>
+                    ${round.revealStep > 0 ? 'Reveal More' : 'Start Reveal'}
+                </button>
+                <button class="btn btn-reveal" onclick="changeRevealStep(${round.id}, Infinity)" ${done ? 'disabled' : ''}>Show All</button>
+                <button class="btn btn-reset" onclick="changeRevealStep(${round.id}, -Infinity)" aria-label="Cover the image again">↺</button>
+                <span class="reveal-status">${describeRevealStatus(round)}</span>
+            </div>
+            ${buildRevealFrameHTML(round, canvasClass)}
+        </div>
+    `;
+}
+
+/**
+ * e.g. "Step 2/5 · 3 pts"
+ * @param {Object} round - The round
+ */
+function describeRevealStatus(round) {
+    const points = getAwardPoints(round);
+    const worth = `${points} ${points === 1 ? 'pt' : 'pts'}`;
+    return round.revealStep > 0
+        ? `Step ${round.revealStep}/${round.revealSteps} · ${worth}`
+        : `${round.revealSteps} steps · ${worth}`;
+}
+
+/**
+ * Draw the image on a reveal frame's canvas, obscured according to its step
+ * @param {HTMLElement} frame - .reveal-frame element
+ */
+function drawRevealFrame(frame) {
+    const img = frame.querySelector('.reveal-source');
+    const canvas = frame.querySelector('.reveal-canvas');
+    if (!img.complete || !img.naturalWidth) return;
+
+    const scale = Math.min(1, REVEAL_CANVAS_MAX_WIDTH / img.naturalWidth);
+    const width = Math.round(img.naturalWidth * scale);
+    const height = Math.round(img.naturalHeight * scale);
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    const steps = parseInt(frame.dataset.steps) || 1;
+    const progress = Math.min(1, (parseInt(frame.dataset.step) || 0) / steps);
+
+    if (progress >= 1) {
+        ctx.drawImage(img, 0, 0, width, height);
+        return;
+    }
+
+    switch (frame.dataset.mode) {
+        case 'pixelate': {
+            // Blocks across grow geometrically from REVEAL_PIXELS_START to full width
+            const across = Math.max(1, Math.round(REVEAL_PIXELS_START * Math.pow(width / REVEAL_PIXELS_START, progress)));
+            const small = document.createElement('canvas');
+            small.width = across;
+            small.height = Math.max(1, Math.round(across * height / width));
+            small.getContext('2d').drawImage(img, 0, 0, small.width, small.height);
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(small, 0, 0, width, height);
+            break;
+        }
+        case 'blur':
+            ctx.filter = `blur(${Math.round(width / 20 * (1 - progress))}px)`;
+            ctx.drawImage(img, 0, 0, width, height);
+            ctx.filter = 'none';
+            break;
+        case 'tiles': {
+            ctx.drawImage(img, 0, 0, width, height);
+            const order = seededShuffle([...Array(REVEAL_TILES_ACROSS * REVEAL_TILES_ACROSS).keys()], parseInt(frame.dataset.seed) || 1);
+            const shown = Math.round(progress * order.length);
+            const tileW = width / REVEAL_TILES_ACROSS;
+            const tileH = height / REVEAL_TILES_ACROSS;
+            ctx.fillStyle = '#21262d';
+            ctx.strokeStyle = '#30363d';
+            order.slice(shown).forEach(tile => {
+                const x = (tile % REVEAL_TILES_ACROSS) * tileW;
+                const y = Math.floor(tile / REVEAL_TILES_ACROSS) * tileH;
+                ctx.fillRect(x, y, tileW + 1, tileH + 1);
+                ctx.strokeRect(x, y, tileW, tileH);
+            });
+            break;
+        }
+    }
+}
+
+/**
+ * Shuffle that always gives the same order for the same seed,
+ * so tiles open in the same order in every window
+ * @param {Array} items - Items to shuffle (shuffled in place)
+ * @param {number} seed - e.g. the round ID
+ * @returns {Array} The same array
+ */
+function seededShuffle(items, seed) {
+    let state = seed * 9301 + 49297;
+    for (let i = items.length - 1; i > 0; i--) {
+        state = (state * 9301 + 49297) % 233280;
+        const j = Math.floor(state / 233280 * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+/**
+ * Button handler: move the reveal forward or back
+ * @param {number} rowId - The ID of the row
+ * @param {number} delta - Steps to move (Infinity = show all, -Infinity = cover again)
+ */
+function changeRevealStep(rowId, delta) {
+    const round = roundsById[rowId];
+    if (!round) return;
+    setRevealStep(rowId, round.revealStep + delta);
+}
+
+/**
+ * Set how far an image is revealed, redraw it everywhere and save
+ * @param {number} rowId - The ID of the row
+ * @param {number} step - 0 (covered) to revealSteps (fully shown)
+ */
+function setRevealStep(rowId, step) {
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (!row) return;
+
+    const round = readRoundFromRow(row);
+    if (!isProgressiveReveal(round)) return;
+
+    round.revealStep = Math.max(0, Math.min(round.revealSteps, step));
+    round.revealed.resource = round.revealStep > 0;
+
+    if (currentRoundId !== rowId) setCurrentRound(rowId);
+    refreshRevealViews(round);
+    saveRoundsToStorage();
+}
+
+/**
+ * Cover a progressive image again (timer reset, fresh night); the caller saves
+ * @param {number} rowId - The ID of the row
+ * @returns {boolean} True if anything changed
+ */
+function resetRevealStep(rowId) {
+    const round = roundsById[rowId];
+    if (!round || !isProgressiveReveal(round) || round.revealStep === 0) return false;
+
+    round.revealStep = 0;
+    round.revealed.resource = false;
+    refreshRevealViews(round);
+    return true;
+}
+
+/**
+ * Update every copy of a round's reveal (table row and stage) without rebuilding it
+ * @param {Object} round - The round
+ */
+function refreshRevealViews(round) {
+    const done = round.revealStep >= round.revealSteps;
+    document.querySelectorAll(`.progressive-reveal[data-round-id="${round.id}"]`).forEach(container => {
+        const frame = container.querySelector('.reveal-frame');
+        frame.dataset.step = round.revealStep;
+        frame.classList.toggle('hidden', round.revealStep === 0);
+        drawRevealFrame(frame);
+
+        const more = container.querySelector('.reveal-more');
+        more.textContent = round.revealStep > 0 ? 'Reveal More' : 'Start Reveal';
+        container.querySelectorAll('.reveal-controls .btn-reveal').forEach(button => {
+            button.disabled = done;
+        });
+        container.querySelector('.reveal-status').textContent = describeRevealStatus(round);
+    });
+}
+
+/**
+ * Rounds set to reveal with the timer move to the step matching the time used:
+ * step 1 when the timer starts, fully revealed when it runs out
+ * @param {number} rowId - The ID of the row
+ */
+function advanceRevealWithTimer(rowId) {
+    const round = roundsById[rowId];
+    const timer = timers[rowId];
+    if (!round || !timer || !round.revealWithTimer || !isProgressiveReveal(round)) return;
+
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    const total = getTimerSeconds(row);
+    if (!total) return;
+
+    const elapsed = total - timer.remainingSeconds;
+    const step = Math.min(round.revealSteps, 1 + Math.floor(elapsed / total * round.revealSteps));
+    if (step > round.revealStep) setRevealStep(rowId, step);
+}
+
+
+// ==========================================
+// QUESTION ROUNDS
+// Multiple-choice rounds (2-6 options, one correct)
+// and typed-answer rounds checked against the answer
+// plus alternate accepted spellings
+// ==========================================
+
+const MIN_CHOICES = 2;
+const MAX_CHOICES = 6;
+
+/**
+ * Options list for a multiple-choice round
+ * The correct option is only marked once the answer is revealed (for the
+ * audience it is not even sent before then)
+ * @param {Array<string>} choices - Option texts
+ * @param {number} correctChoice - Index of the correct option (-1 = not known to this view)
+ * @param {boolean} revealed - Has the answer been revealed?
+ * @param {number|null} rowId - Row whose host can click options, or null for a display-only list
+ * @param {string} extraClass - Extra class for the list (e.g. on the stage)
+ * @returns {string} Safe HTML
+ */
+function buildChoiceListHTML(choices, correctChoice, revealed, rowId = null, extraClass = '') {
+    const items = choices.map((choice, index) => {
+        const letter = String.fromCharCode(65 + index);
+        const cls = `choice ${index === correctChoice ? 'correct' : ''}`;
+        const body = `<span class="choice-letter">${letter}</span> ${escapeHtml(choice)}`;
+        return rowId === null
+            ? `<li class="${cls}">${body}</li>`
+            : `<li><button class="btn ${cls}" onclick="pickChoice(${rowId}, ${index})">${body}</button></li>`;
+    });
+    return `<ol class="choice-list ${revealed ? 'revealed' : ''} ${extraClass}">${items.join('')}</ol>`;
+}
+
+/**
+ * Guess box for a typed-answer round
+ * @param {Object} round - The round
+ * @returns {string} Safe HTML
+ */
+function buildTypedAnswerHTML(round) {
+    return `
+        <div class="typed-answer">
+            <input type="text" class="typed-guess" placeholder="Type a guess…" aria-label="Guess"
+                onkeydown="if (event.key === 'Enter') checkTypedGuess(${round.id})">
+            <button class="btn btn-reveal" onclick="checkTypedGuess(${round.id})">Check</button>
+            <span class="guess-result" aria-live="polite"></span>
+        </div>
+    `;
+}
+
+/**
+ * Reduce an answer to what matters when comparing guesses:
+ * case, accents, Arabic diacritics and letter variants, punctuation,
+ * extra spaces and a leading English "the"
+ * @param {string} text - Answer or guess
+ * @returns {string} Comparable text
+ */
+function normalizeAnswer(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .replace(/[آأإٱ]/g, 'ا')
+        .replace(/ة/g, 'ه')
+        .replace(/ى/g, 'ي')
+        .replace(/ـ/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim()
+        .replace(/^the /, '');
+}
+
+/**
+ * Does a guess match the round's answer or any accepted spelling?
+ * @param {Object} round - The round
+ * @param {string} guess - What was typed
+ * @returns {boolean}
+ */
+function isAcceptedAnswer(round, guess) {
+    const normalized = normalizeAnswer(guess);
+    if (!normalized) return false;
+    return [round.answer, ...round.acceptedAnswers].some(answer => normalizeAnswer(answer) === normalized);
+}
+
+/**
+ * Reveal a row's answer if it is still hidden
+ * @param {HTMLElement} row - The game row
+ */
+function revealRowAnswer(row) {
+    const answer = row.querySelector('[data-reveal="answer"]');
+    if (answer && answer.classList.contains('hidden') && answer.previousElementSibling) {
+        toggleReveal(answer.previousElementSibling);
+    }
+}
+
+/**
+ * Show a ✅/❌ verdict in a row; a right answer is revealed straight away
+ * @param {HTMLElement} row - The game row
+ * @param {boolean} correct - Was the guess right?
+ */
+function showGuessResult(row, correct) {
+    const result = row.querySelector('.guess-result');
+    if (result) {
+        result.textContent = correct ? '✅ Correct!' : '❌ Not quite';
+        result.className = `guess-result ${correct ? 'right' : 'wrong'}`;
+    }
+
+    if (correct) revealRowAnswer(row);
+}
+
+/**
+ * Host clicked the option a team chose: mark it and reveal the answer
+ * @param {number} rowId - The ID of the row
+ * @param {number} index - The option picked
+ */
+function pickChoice(rowId, index) {
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    const round = roundsById[rowId];
+    if (!row || !round) return;
+
+    row.querySelectorAll('.choice-list .choice').forEach((button, i) => {
+        button.classList.toggle('picked', i === index);
+    });
+
+    revealRowAnswer(row);
+}
+
+/**
+ * Check the typed guess of a row
+ * @param {number} rowId - The ID of the row
+ */
+function checkTypedGuess(rowId) {
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    const round = roundsById[rowId];
+    if (!row || !round) return;
+
+    const input = row.querySelector('.typed-guess');
+    if (!input.value.trim()) return;
+    showGuessResult(row, isAcceptedAnswer(round, input.value));
+}
+
+/**
+ * Mark the correct option once a row's answer is revealed (and unmark when hidden)
+ * @param {HTMLElement} row - The game row
+ */
+function syncChoiceReveal(row) {
+    const round = roundsById[row.dataset.rowId];
+    const list = row.querySelector('.choice-list');
+    if (round && list) list.classList.toggle('revealed', round.revealed.answer);
+}
+
+/**
+ * Show the form fields for the question type being edited
+ * @param {string} resourceType - Selected resource type
+ */
+function toggleQuestionInputs(resourceType) {
+    document.getElementById('choiceGroup').style.display = resourceType === 'choice' ? 'block' : 'none';
+    document.getElementById('acceptedGroup').style.display = resourceType === 'typed' ? 'block' : 'none';
+    // The correct option is the answer of a multiple-choice round
+    document.getElementById('answerGroup').style.display = resourceType === 'choice' ? 'none' : '';
+}
+
+/**
+ * Read the options from the form, dropping empty ones
+ * @returns {{choices: Array<string>, correctChoice: number}} correctChoice is -1 if none is marked
+ */
+function readChoiceInputs() {
+    const choices = [];
+    let correctChoice = -1;
+    document.querySelectorAll('#choiceGroup .choice-input-row').forEach(line => {
+        const text = line.querySelector('input[type="text"]').value.trim();
+        if (!text) return;
+        if (line.querySelector('input[type="radio"]').checked) correctChoice = choices.length;
+        choices.push(text);
+    });
+    return { choices, correctChoice };
+}
+
+/**
+ * Fill the form's options (empty slots for the rest)
+ * @param {Array<string>} choices - Option texts
+ * @param {number} correctChoice - Index of the correct option
+ */
+function fillChoiceInputs(choices, correctChoice) {
+    document.querySelectorAll('#choiceGroup .choice-input-row').forEach((line, index) => {
+        line.querySelector('input[type="text"]').value = choices[index] || '';
+        line.querySelector('input[type="radio"]').checked = index === correctChoice;
+    });
+}
+
+/**
+ * Accepted spellings typed one per line in the form
+ * @returns {Array<string>}
+ */
+function readAcceptedAnswers() {
+    return document.getElementById('newAcceptedAnswers').value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+}
+
+
+// ==========================================
+// ANSWER REVEAL SYSTEM
+// ==========================================
+
+/**
+ * Reveal/Hide hidden content (answers, questions, etc.)
+ * @param {HTMLButtonElement} button - The reveal button
+ */
+function toggleReveal(button) {
+    const content = button.nextElementSibling;
+    const isHidden = content.classList.contains('hidden');
+
+    // Toggle visibility
+    content.classList.toggle('hidden');
+
+    // Toggle button text (Reveal X <-> Hide X)
+    const currentText = button.textContent;
+    if (isHidden) {
+        // Was hidden, now visible -> Change "Reveal" to "Hide"
+        button.textContent = currentText.replace('Reveal', 'Hide');
+    } else {
+        // Was visible, now hidden -> Change "Hide" to "Reveal"
+        button.textContent = currentText.replace('Hide', 'Reveal');
+    }
+
+    // Remember what has been revealed in a round
+    const row = button.closest('.game-row');
+    if (row) {
+        const rowId = parseInt(row.dataset.rowId);
+        if (currentRoundId !== rowId) setCurrentRound(rowId);
+        saveRoundsToStorage();
+        syncClipMute(row);
+        syncChoiceReveal(row);
+    }
+}
+
+
+// ==========================================
+// ROUND BANK & LINEUP GENERATOR
+// A pool of tagged rounds kept apart from the table
+// (shared by all playlists); the generator picks a
+// night's lineup from it and avoids recent repeats
+// ==========================================
+
+const ROUND_BANK_STORAGE_KEY = 'gameNightRoundBank';
+
+const BANK_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * items:  [{ bankId, round, tags: { category, difficulty, language } }]
+ * nights: [{ date, bankIds }] - one entry per generated lineup, newest last
+ *   (only a log; "no repeats" uses the play history)
+ * rules:  [{ count, category, resourceType, difficulty, language }] - '' = any
+ */
+let roundBank = createEmptyRoundBank();
+
+function createEmptyRoundBank() {
+    return {
+        items: [],
+        nights: [],
+        rules: [{ count: 10, category: '', resourceType: '', difficulty: '', language: '' }]
+    };
+}
+
+function loadRoundBank() {
+    try {
+        const raw = localStorage.getItem(ROUND_BANK_STORAGE_KEY);
+        if (!raw) return;
+        const parsed = JSON.parse(raw);
+        if (parsed && Array.isArray(parsed.items) && Array.isArray(parsed.nights)) {
+            roundBank = { ...createEmptyRoundBank(), ...parsed };
+        }
+    } catch (e) {
+        console.warn('Could not load round bank from storage:', e);
+    }
+}
+
+function saveRoundBank() {
+    try {
+        localStorage.setItem(ROUND_BANK_STORAGE_KEY, JSON.stringify(roundBank));
+    } catch (e) {
+        console.warn('Could not save round bank to storage:', e);
+        alert('Could not save the round bank (storage may be full).');
+    }
+}
+
+function toggleRoundBank() {
+    const panel = document.getElementById('roundBankPanel');
+    const isVisible = panel.style.display !== 'none';
+    panel.style.display = isVisible ? 'none' : 'block';
+    if (!isVisible) renderRoundBank();
+}
+
+function findBankItem(bankId) {
+    return roundBank.items.find(item => item.bankId === bankId);
+}
+
+/**
+ * Copy the table's rounds into the bank, skipping ones already there.
+ * Play state (completion, reveals, awards) is not kept.
+ */
+function addTableRoundsToBank() {
+    const known = new Set(roundBank.items.map(item => roundContentKey(item.round)));
+    let added = 0;
+
+    collectRoundsFromTable().forEach(round => {
+        const key = roundContentKey(round);
+        if (known.has(key)) return;
+        known.add(key);
+
+        const { id, isCompleted, revealed, revealStep, award, ...fields } = round;
+        let bankId;
+        do {
+            bankId = `bank-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        } while (findBankItem(bankId));
+
+        roundBank.items.push({
+            bankId: bankId,
+            round: fields,
+            tags: { category: round.gameName, difficulty: 'medium', language: '' }
+        });
+        added++;
+    });
+
+    saveRoundBank();
+    renderRoundBank();
+    alert(added ? `Added ${added} rounds to the bank.` : 'Every round in the table is already in the bank.');
+}
+
+function updateBankTag(bankId, tag, value) {
+    const item = findBankItem(bankId);
+    if (!item) return;
+    item.tags[tag] = value.trim();
+    saveRoundBank();
+    renderBankFilters();
+}
+
+function removeBankItem(bankId) {
+    const item = findBankItem(bankId);
+    if (!item || !confirm(`Remove "${item.round.gameName}: ${item.round.promptText}" from the bank?`)) return;
+
+    roundBank.items = roundBank.items.filter(i => i.bankId !== bankId);
+    saveRoundBank();
+    renderRoundBank();
+    pruneStoredMedia();
+}
+
+/**
+ * Distinct non-empty values of a tag, for the rule dropdowns
+ */
+function getBankTagValues(tag) {
+    return [...new Set(roundBank.items.map(item => item.tags[tag]).filter(Boolean))].sort();
+}
+
+/**
+ * Redraw the whole bank panel: rules and the list of banked rounds
+ */
+function renderRoundBank() {
+    document.getElementById('bankCount').textContent =
+        `${roundBank.items.length} rounds in the bank · ${roundBank.nights.length} lineups generated`;
+
+    const list = document.getElementById('bankList');
+    if (roundBank.items.length === 0) {
+        list.innerHTML = '<tr><td colspan="6" class="bank-empty">The bank is empty — add the table\'s rounds to get started.</td></tr>';
+    } else {
+        list.innerHTML = roundBank.items.map(item => {
+            const id = item.bankId;
+            const round = item.round;
+            const difficultyOptions = BANK_DIFFICULTIES
+                .map(level => `<option value="${level}" ${item.tags.difficulty === level ? 'selected' : ''}>${level}</option>`)
+                .join('');
+            return `
+                <tr>
+                    <td>
+                        <span class="game-icon">${escapeHtml(round.gameIcon)}</span>
+                        ${escapeHtml(round.promptText)}
+                        ${round.answer ? `<span class="bank-answer">→ ${escapeHtml(round.answer)}</span>` : ''}
+                    </td>
+                    <td>${escapeHtml(round.resourceType)}</td>
+                    <td><input type="text" class="bank-tag" list="bankCategoryList" value="${escapeHtml(item.tags.category)}"
+                        onchange="updateBankTag('${id}', 'category', this.value)" aria-label="Category"></td>
+                    <td><select class="bank-tag" onchange="updateBankTag('${id}', 'difficulty', this.value)" aria-label="Difficulty">${difficultyOptions}</select></td>
+                    <td><input type="text" class="bank-tag" list="bankLanguageList" value="${escapeHtml(item.tags.language)}"
+                        onchange="updateBankTag('${id}', 'language', this.value)" aria-label="Language" placeholder="any"></td>
+                    <td><button class="btn btn-delete" onclick="removeBankItem('${id}')" aria-label="Remove from bank">🗑️</button></td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    renderBankFilters();
+}
+
+/**
+ * Redraw the generator rules and the tag suggestions (they depend on the bank's tags)
+ */
+function renderBankFilters() {
+    const categories = getBankTagValues('category');
+    const languages = getBankTagValues('language');
+
+    document.getElementById('bankCategoryList').innerHTML =
+        categories.map(value => `<option value="${escapeHtml(value)}">`).join('');
+    document.getElementById('bankLanguageList').innerHTML =
+        languages.map(value => `<option value="${escapeHtml(value)}">`).join('');
+
+    const options = (values, selected) => ['', ...values]
+        .map(value => `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${value ? escapeHtml(value) : 'any'}</option>`)
+        .join('');
+
+    document.getElementById('bankRules').innerHTML = roundBank.rules.map((rule, index) => `
+        <div class="bank-rule">
+            <input type="number" min="1" max="200" value="${rule.count}"
+                onchange="updateLineupRule(${index}, 'count', this.value)" aria-label="Number of rounds">
+            <select onchange="updateLineupRule(${index}, 'category', this.value)" aria-label="Category">${options(categories, rule.category)}</select>
+            <select onchange="updateLineupRule(${index}, 'resourceType', this.value)" aria-label="Resource type">${options(RESOURCE_TYPES, rule.resourceType)}</select>
+            <select onchange="updateLineupRule(${index}, 'difficulty', this.value)" aria-label="Difficulty">${options(BANK_DIFFICULTIES, rule.difficulty)}</select>
+            <select onchange="updateLineupRule(${index}, 'language', this.value)" aria-label="Language">${options(languages, rule.language)}</select>
+            <button class="btn btn-delete" onclick="removeLineupRule(${index})" aria-label="Remove rule"
+                ${roundBank.rules.length <= 1 ? 'disabled' : ''}>✕</button>
+        </div>
+    `).join('');
+}
+
+function addLineupRule() {
+    roundBank.rules.push({ count: 5, category: '', resourceType: '', difficulty: '', language: '' });
+    saveRoundBank();
+    renderBankFilters();
+}
+
+function removeLineupRule(index) {
+    if (roundBank.rules.length <= 1) return;
+    roundBank.rules.splice(index, 1);
+    saveRoundBank();
+    renderBankFilters();
+}
+
+function updateLineupRule(index, key, value) {
+    const rule = roundBank.rules[index];
+    if (!rule) return;
+    rule[key] = key === 'count' ? Math.max(1, parseInt(value) || 1) : value;
+    saveRoundBank();
+}
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} items - The array to shuffle
+ * @returns {Array} The same array
+ */
+function shuffleArray(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+/**
+ * Pick rounds for every rule, then insert them the same way the add-round form does
+ */
+function generateLineup() {
+    if (roundBank.items.length === 0) {
+        alert('The round bank is empty.');
+        return;
+    }
 
-    // Update visual state
-    display.classList.remove('running');
-    row.classList.remove('active');
+    const skipNights = Math.max(0, parseInt(document.getElementById('bankNoRepeatNights').value) || 0);
+    const mode = document.getElementById('bankLineupMode').value;
+
+    // Rounds actually played on the last N game nights are off the table
+    const recentNights = getRecentPlayDates(skipNights);
+    const picked = [];
+    const shortages = [];
+
+    roundBank.rules.forEach(rule => {
+        const candidates = shuffleArray(roundBank.items.filter(item =>
+            !wasPlayedOn(item.round, recentNights) &&
+            !picked.includes(item) &&
+            (!rule.category || item.tags.category === rule.category) &&
+            (!rule.resourceType || item.round.resourceType === rule.resourceType) &&
+            (!rule.difficulty || item.tags.difficulty === rule.difficulty) &&
+            (!rule.language || item.tags.language === rule.language)
+        ));
+
+        const chosen = candidates.slice(0, rule.count);
+        if (chosen.length < rule.count) {
+            shortages.push(`${[rule.category, rule.resourceType, rule.difficulty, rule.language].filter(Boolean).join(' / ') || 'any'}: ${chosen.length} of ${rule.count}`);
+        }
+        picked.push(...chosen);
+    });
+
+    if (picked.length === 0) {
+        alert('No rounds in the bank match these rules (or they were all played recently).');
+        return;
+    }
+    if (shortages.length && !confirm(`Not enough rounds for every rule:\n${shortages.join('\n')}\n\nUse the ${picked.length} rounds found?`)) {
+        return;
+    }
+    if (mode === 'replace' && !confirm(`Replace the table with ${picked.length} rounds from the bank?`)) {
+        return;
+    }
+
+    if (mode === 'replace') {
+        stopAllTimers();
+        renderRoundsIntoTable([]);
+    }
+    picked.forEach(item => appendRoundToTable(item.round));
+
+    roundBank.nights.push({ date: new Date().toISOString(), bankIds: picked.map(item => item.bankId) });
+    saveRoundBank();
+    renderRoundBank();
 
+    updateProgress();
     updateGlobalTimerDisplay();
+    saveRoundsToStorage();
+    if (mode === 'replace') pruneStoredMedia();
+
+    console.log(`✅ Generated a lineup of ${picked.length} rounds from the bank`);
+    alert(`Added ${picked.length} rounds from the bank.`);
 }
 
+
+// ==========================================
+// PLAY HISTORY
+// Remembers which rounds were played on which night
+// (across playlists and resets) so repeats stand out
+// ==========================================
+
+const PLAY_HISTORY_STORAGE_KEY = 'gameNightPlayHistory';
+const PLAYED_FILTER_STORAGE_KEY = 'gameNightPlayedFilter';
+
 /**
- * Reset the timer for a specific row
- * @param {number} rowId - The ID of the row
+ * { [roundContentKey]: [{ date: 'YYYY-MM-DD', winner: team name or null, guessed: true/false/null }] }
+ * guessed is null while the round has no award
  */
-function resetTimer(rowId) {
-    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
-    if (!row) return;
+let playHistory = {};
 
-    const display = row.querySelector('.timer-display');
+/**
+ * Rounds played within `days` days are "recent"; hideRecent hides them from the table
+ */
+let playedFilter = { hideRecent: false, days: 30 };
 
-    // Clear any running interval
-    if (timers[rowId] && timers[rowId].intervalId) {
-        clearInterval(timers[rowId].intervalId);
+function loadPlayHistory() {
+    try {
+        const raw = localStorage.getItem(PLAY_HISTORY_STORAGE_KEY);
+        if (raw) {
+            const parsed = JSON.parse(raw);
+            if (parsed && typeof parsed === 'object') playHistory = parsed;
+        }
+        const filter = localStorage.getItem(PLAYED_FILTER_STORAGE_KEY);
+        if (filter) playedFilter = { ...playedFilter, ...JSON.parse(filter) };
+    } catch (e) {
+        console.warn('Could not load play history from storage:', e);
     }
+}
 
-    // Reset state
-    timers[rowId] = {
-        intervalId: null,
-        remainingSeconds: 0,
-        isRunning: false
-    };
+function savePlayHistory() {
+    try {
+        localStorage.setItem(PLAY_HISTORY_STORAGE_KEY, JSON.stringify(playHistory));
+    } catch (e) {
+        console.warn('Could not save play history to storage:', e);
+    }
+}
 
-    // Reset display
-    display.textContent = "00:00";
-    display.classList.remove('running', 'warning', 'danger', 'finished');
-    row.classList.remove('active', 'timer-finished');
+/**
+ * Local calendar date as 'YYYY-MM-DD'; one game night = one date
+ */
+function todayDateKey() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
 
-    updateGlobalTimerDisplay();
+function daysSince(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const then = new Date(year, month - 1, day);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return Math.round((today - then) / 86400000);
 }
 
 /**
- * Handle timer completion
+ * Plays of a round on earlier nights (tonight's play doesn't count as "before")
+ * @param {Object} round - The round
+ * @returns {Array} History entries, oldest first
+ */
+function getEarlierPlays(round) {
+    const today = todayDateKey();
+    return (playHistory[roundContentKey(round)] || []).filter(play => play.date !== today);
+}
+
+/**
+ * Record (or update) tonight's play of a row's round, including its award
  * @param {number} rowId - The ID of the row
  */
-function timerFinished(rowId) {
+function recordRoundPlay(rowId) {
     const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
     if (!row) return;
 
-    const display = row.querySelector('.timer-display');
+    const round = readRoundFromRow(row);
+    const key = roundContentKey(round);
+    const plays = playHistory[key] || (playHistory[key] = []);
 
-    // Clear the interval
-    if (timers[rowId].intervalId) {
-        clearInterval(timers[rowId].intervalId);
-        timers[rowId].intervalId = null;
+    const today = todayDateKey();
+    let play = plays.find(p => p.date === today);
+    if (!play) {
+        play = { date: today };
+        plays.push(play);
     }
+    play.winner = round.award && round.award.winner !== AWARD_NOBODY ? getTeamName(round.award.winner) : null;
+    play.guessed = round.award ? round.award.winner !== AWARD_NOBODY : null;
 
-    timers[rowId].isRunning = false;
-    timers[rowId].remainingSeconds = 0;
+    savePlayHistory();
+}
 
-    // Visual feedback
-    display.textContent = "TIME!";
-    display.classList.remove('running', 'warning', 'danger');
-    display.classList.add('finished');
-    row.classList.remove('active');
-    row.classList.add('timer-finished');
+/**
+ * Take back tonight's play when a round is unticked
+ * @param {number} rowId - The ID of the row
+ */
+function forgetRoundPlay(rowId) {
+    const round = roundsById[rowId];
+    if (!round) return;
 
-    // Play a sound effect (using Web Audio API if available)
-    playTimerSound();
+    const key = roundContentKey(round);
+    if (!playHistory[key]) return;
+
+    const today = todayDateKey();
+    playHistory[key] = playHistory[key].filter(play => play.date !== today);
+    if (playHistory[key].length === 0) delete playHistory[key];
+    savePlayHistory();
+}
+
+/**
+ * The last N dates anything was played on, tonight included
+ * (so regenerating a lineup several times in one evening is still one night)
+ * @param {number} count - Number of game nights
+ * @returns {Set<string>} Date keys
+ */
+function getRecentPlayDates(count) {
+    if (count <= 0) return new Set();
+    const dates = new Set(Object.values(playHistory).flatMap(plays => plays.map(play => play.date)));
+    return new Set([...dates].sort().reverse().slice(0, count));
+}
+
+/**
+ * Whether a round was played on any of the given dates
+ * @param {Object} round - The round
+ * @param {Set<string>} dates - Date keys from getRecentPlayDates()
+ */
+function wasPlayedOn(round, dates) {
+    return dates.size > 0 && (playHistory[roundContentKey(round)] || []).some(play => dates.has(play.date));
+}
+
+/**
+ * Whether a round was played on an earlier night within the filter's window
+ */
+function isPlayedRecently(round) {
+    return getEarlierPlays(round).some(play => daysSince(play.date) <= playedFilter.days);
+}
+
+/**
+ * "Played before" badge for the game cell, with the history in its tooltip
+ * @param {Object} round - The round
+ * @returns {string} Safe HTML ('' for rounds never played before)
+ */
+function buildPlayedBadgeHTML(round) {
+    const plays = getEarlierPlays(round);
+    if (plays.length === 0) return '';
+
+    const lines = plays.map(play => {
+        const result = play.guessed === null || play.guessed === undefined
+            ? 'no award'
+            : play.guessed ? `${play.winner} won` : 'nobody guessed it';
+        return `${play.date}: ${result}`;
+    });
+
+    return `<span class="played-badge" title="${escapeHtml(`Played before:\n${lines.join('\n')}`)}">🔁 ${plays.length}×</span>`;
+}
+
+/**
+ * Redraw the played-before badges and recent markers on every row
+ */
+function refreshPlayedMarkers() {
+    document.querySelectorAll('.game-row').forEach(row => {
+        const round = roundsById[parseInt(row.dataset.rowId)];
+        if (!round) return;
+
+        row.classList.toggle('played-recently', isPlayedRecently(round));
+        const slot = row.querySelector('.played-slot');
+        if (slot) slot.innerHTML = buildPlayedBadgeHTML(round);
+    });
+
+    document.getElementById('tableBody').classList.toggle('hide-played-recently', playedFilter.hideRecent);
+}
+
+/**
+ * Whether the played filter currently hides a row
+ * @param {HTMLElement} row - The table row element
+ */
+function isRowFilteredOut(row) {
+    return playedFilter.hideRecent && row.classList.contains('played-recently');
+}
+
+/**
+ * Read the filter controls, save them and re-mark the rows
+ */
+function setPlayedFilter() {
+    playedFilter = {
+        hideRecent: document.getElementById('hidePlayedToggle').checked,
+        days: Math.max(0, parseInt(document.getElementById('playedWithinDays').value) || 0)
+    };
+    try {
+        localStorage.setItem(PLAYED_FILTER_STORAGE_KEY, JSON.stringify(playedFilter));
+    } catch (e) {
+        console.warn('Could not save played filter to storage:', e);
+    }
+    refreshPlayedMarkers();
+}
+
+/**
+ * Take every recently played round out of the table
+ */
+function dropRecentlyPlayedRounds() {
+    const rows = [...document.querySelectorAll('.game-row.played-recently')];
+    if (rows.length === 0) {
+        alert(`No rounds in the table were played in the last ${playedFilter.days} days.`);
+        return;
+    }
+    if (!confirm(`Remove ${rows.length} rounds played in the last ${playedFilter.days} days from this lineup?`)) {
+        return;
+    }
+
+    rows.forEach(row => {
+        const rowId = parseInt(row.dataset.rowId);
+        if (timers[rowId] && timers[rowId].intervalId) {
+            clearInterval(timers[rowId].intervalId);
+        }
+        delete timers[rowId];
+        delete roundsById[rowId];
+        row.remove();
+        if (showMode.rowId === rowId) stopShow();
+    });
+    refreshGroupMarkers();
+    saveTimerState();
 
+    updateProgress();
     updateGlobalTimerDisplay();
+    saveRoundsToStorage();
+    pruneStoredMedia();
 }
 
 /**
- * Update the timer display for a specific row
- * @param {number} rowId - The ID of the row
+ * Sync the filter controls with the loaded settings (history is loaded before the table renders)
  */
-function updateTimerDisplay(rowId) {
-    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
-    if (!row) return;
+function initPlayHistory() {
+    document.getElementById('hidePlayedToggle').checked = playedFilter.hideRecent;
+    document.getElementById('playedWithinDays').value = playedFilter.days;
+    refreshPlayedMarkers();
+}
 
-    const display = row.querySelector('.timer-display');
 
-    const seconds = timers[rowId].remainingSeconds;
-    const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
+// ==========================================
+// AUDIENCE WINDOW (PRESENTER MODE)
+// A second window for the TV/projector that shows
+// only the current round; the host window drives it
+// over a BroadcastChannel
+// ==========================================
 
-    display.textContent = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+/**
+ * BroadcastChannel name shared by the host and audience windows
+ */
+const AUDIENCE_CHANNEL_NAME = 'gameNightAudience';
+
+/**
+ * Open channel (host or audience side), created on first use
+ */
+let audienceChannel = null;
+
+/**
+ * Row ID of the round shown to the audience (null = first unchecked row)
+ */
+let currentRoundId = null;
+
+/**
+ * Is this page the audience window (audience.html)?
+ * @returns {boolean}
+ */
+function isAudienceView() {
+    return document.body && document.body.dataset.view === 'audience';
 }
 
 /**
- * Update the global timer display in the header
- * Shows the active timer with the least time remaining
+ * Get (and lazily create) the channel
+ * The host creates it during init, the audience window on load
+ * @returns {BroadcastChannel|null} null if the browser has no BroadcastChannel
  */
-function updateGlobalTimerDisplay() {
-    const globalDisplay = document.getElementById('activeTimerDisplay');
+function getAudienceChannel() {
+    if (!audienceChannel && 'BroadcastChannel' in window) {
+        audienceChannel = new BroadcastChannel(AUDIENCE_CHANNEL_NAME);
+        audienceChannel.onmessage = isAudienceView() ? handleHostMessage : handleAudienceMessage;
+    }
+    return audienceChannel;
+}
 
-    // Find all running timers
-    const runningTimers = Object.entries(timers)
-        .filter(([id, timer]) => timer.isRunning && timer.remainingSeconds > 0)
-        .map(([id, timer]) => ({
-            id: parseInt(id),
-            seconds: timer.remainingSeconds
-        }));
+/**
+ * Open (or focus) the audience window
+ */
+function openAudienceWindow() {
+    if (!getAudienceChannel()) {
+        alert('This browser cannot link two windows (BroadcastChannel is not supported).');
+        return;
+    }
 
-    if (runningTimers.length === 0) {
-        globalDisplay.textContent = "No active timer";
-        globalDisplay.style.color = '#58a6ff';
+    const win = window.open('audience.html', 'gameNightAudienceWindow', 'width=1280,height=720');
+    if (!win) {
+        alert('The audience window was blocked. Allow pop-ups for this page and try again.');
         return;
     }
+    win.focus();
+}
 
-    // Find the one with least time
-    const urgent = runningTimers.reduce((min, t) =>
-        t.seconds < min.seconds ? t : min
-    );
+/**
+ * Messages from the audience window
+ * @param {MessageEvent} event
+ */
+function handleAudienceMessage(event) {
+    if (event.data && event.data.type === 'hello') {
+        broadcastAudienceState();
+    }
+}
 
-    const mins = Math.floor(urgent.seconds / 60);
-    const secs = urgent.seconds % 60;
-    const timeStr = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+/**
+ * Get the row shown to the audience
+ * @returns {HTMLElement|null} The current row, or the first unchecked row
+ */
+function getCurrentRoundRow() {
+    if (currentRoundId !== null) {
+        const row = document.querySelector(`tr[data-row-id="${currentRoundId}"]`);
+        if (row) return row;
+    }
+    return [...document.querySelectorAll('.game-row')]
+        .find(row => !row.querySelector('.done-checkbox').checked && !isRowFilteredOut(row)) || null;
+}
 
-    // Get game name for the timer
-    const row = document.querySelector(`tr[data-row-id="${urgent.id}"]`);
+/**
+ * Make a row the current round and highlight it
+ * @param {number} rowId - The ID of the row
+ */
+function setCurrentRound(rowId) {
+    currentRoundId = rowId;
+    document.querySelectorAll('.game-row.current-round').forEach(row => row.classList.remove('current-round'));
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (row) row.classList.add('current-round');
+    refreshPresenterViews();
+}
+
+/**
+ * Build what the audience may see of the current round
+ * Hidden prompts, unrevealed images and answers are left out entirely
+ * @returns {Object} Serializable state for the audience window
+ */
+function buildAudienceState() {
+    const row = getCurrentRoundRow();
+    let round = null;
+    let timer = null;
+
+    if (row) {
+        const data = readRoundFromRow(row);
+        const promptVisible = data.promptStyle !== 'spoiler' || data.revealed.prompt;
+        const mediaVisible = data.resourceType !== 'image' || data.revealed.resource;
+        const progressive = isProgressiveReveal(data);
+
+        round = {
+            id: data.id,
+            gameName: data.gameName,
+            gameIcon: data.gameIcon,
+            promptLabel: promptVisible ? data.promptLabel : '',
+            promptText: promptVisible ? data.promptText : '',
+            promptStyle: data.promptStyle,
+            resourceType: data.resourceType,
+            resourceSrc: mediaVisible ? resolveMediaSrc(data.resourceSrc) : '',
+            reveal: progressive ? { mode: data.revealMode, step: data.revealStep, steps: data.revealSteps } : null,
+            choices: data.resourceType === 'choice' && promptVisible ? data.choices : [],
+            correctChoice: data.resourceType === 'choice' && data.revealed.answer ? data.correctChoice : -1,
+            answer: data.revealed.answer ? data.answer : ''
+        };
+
+        const state = timers[data.id];
+        timer = {
+            remainingSeconds: state ? state.remainingSeconds : getTimerSeconds(row),
+            isRunning: !!(state && state.isRunning),
+            isFinished: row.classList.contains('timer-finished'),
+            urgency: state ? getTimerUrgency(state.remainingSeconds) : ''
+        };
+    }
+
+    return {
+        type: 'state',
+        round: round,
+        timer: timer,
+        scores: scoreboardState,
+        progress: { done: getCompletedRows(), total: getTotalRows() }
+    };
+}
+
+/**
+ * Send the current state to the audience window (if one was ever opened)
+ */
+function broadcastAudienceState() {
+    if (!audienceChannel || isAudienceView()) return;
+    try {
+        audienceChannel.postMessage(buildAudienceState());
+    } catch (e) {
+        console.warn('Could not update audience window:', e);
+    }
+}
+
+/**
+ * Mirror play/pause/seek of the current round's video to the audience window
+ * Media events do not bubble, so this listens in the capture phase
+ * @param {Event} event - play, pause or seeked
+ */
+function relayMediaEvent(event) {
+    const media = event.target;
+    if (!audienceChannel || media.tagName !== 'VIDEO') return;
+
+    const row = media.closest('.game-row');
     if (!row) return;
 
-    const gameName = row.querySelector('.game-name').textContent.trim();
+    // Playing a video makes its round current; other rows are ignored
+    if (row !== getCurrentRoundRow()) {
+        if (event.type !== 'play') return;
+        setCurrentRound(parseInt(row.dataset.rowId));
+    }
 
-    globalDisplay.textContent = `${gameName}: ${timeStr}`;
+    audienceChannel.postMessage({
+        type: 'media',
+        action: event.type,
+        time: media.currentTime
+    });
+}
 
-    // Add warning color if low time
-    if (urgent.seconds <= 10) {
-        globalDisplay.style.color = '#f85149';
-    } else if (urgent.seconds <= 30) {
-        globalDisplay.style.color = '#d29922';
-    } else {
-        globalDisplay.style.color = '#58a6ff';
+// ----- Audience window side -----
+
+/**
+ * Media key of what the audience window shows, so media elements
+ * are only rebuilt when the round or its visibility changes
+ */
+let audienceMediaKey = '';
+
+/**
+ * Start the audience window: listen to the host and ask for the current state
+ */
+function initAudienceView() {
+    const channel = getAudienceChannel();
+    if (!channel) {
+        document.getElementById('audiencePrompt').textContent = 'This browser cannot link to the host window.';
+        return;
     }
+    channel.postMessage({ type: 'hello' });
 }
 
 /**
- * Play a simple beep sound when timer finishes
- * Uses Web Audio API for offline compatibility
+ * Messages from the host window
+ * @param {MessageEvent} event
  */
-function playTimerSound() {
-    try {
-        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        const oscillator = audioContext.createOscillator();
-        const gainNode = audioContext.createGain();
-
-        oscillator.connect(gainNode);
-        gainNode.connect(audioContext.destination);
+function handleHostMessage(event) {
+    const message = event.data || {};
+    if (message.type === 'state') {
+        renderAudienceView(message);
+    } else if (message.type === 'media') {
+        const video = document.querySelector('#audienceMedia video');
+        if (!video) return;
+        video.currentTime = message.time;
+        if (message.action === 'play') video.play().catch(() => {});
+        if (message.action === 'pause') video.pause();
+    }
+}
 
-        oscillator.frequency.value = 800;
-        oscillator.type = 'sine';
-        gainNode.gain.value = 0.3;
+/**
+ * Draw the audience view from a host state message
+ * @param {Object} state - From buildAudienceState()
+ */
+function renderAudienceView(state) {
+    const round = state.round;
+
+    document.getElementById('audienceGame').textContent = round
+        ? `${round.gameIcon} ${round.gameName}`
+        : '🎉 Game Night';
+
+    const promptEl = document.getElementById('audiencePrompt');
+    if (!round) {
+        promptEl.textContent = 'All rounds done!';
+    } else if (round.promptText) {
+        promptEl.innerHTML = round.promptLabel
+            ? `<strong>${escapeHtml(round.promptLabel)}</strong> ${escapeHtml(round.promptText)}`
+            : escapeHtml(round.promptText);
+    } else {
+        promptEl.textContent = '❓ Get ready…';
+    }
 
-        oscillator.start();
+    // Media: rebuilt only when it changes so a playing video is not restarted
+    const mediaKey = round ? `${round.id}|${round.resourceType}|${round.resourceSrc}|${(round.choices || []).join('\n')}|${round.correctChoice}` : '';
+    if (mediaKey !== audienceMediaKey) {
+        audienceMediaKey = mediaKey;
+        document.getElementById('audienceMedia').innerHTML = round ? buildAudienceMediaHTML(round) : '';
+    }
+    const revealFrame = document.querySelector('#audienceMedia .reveal-frame');
+    if (revealFrame && round.reveal && revealFrame.dataset.step !== String(round.reveal.step)) {
+        revealFrame.dataset.step = round.reveal.step;
+        drawRevealFrame(revealFrame);
+    }
 
-        // Beep pattern: beep-beep-beep
-        setTimeout(() => oscillator.stop(), 150);
+    const answerEl = document.getElementById('audienceAnswer');
+    answerEl.textContent = round && round.answer ? round.answer : '';
+    answerEl.classList.toggle('hidden', !(round && round.answer));
+
+    const timerEl = document.getElementById('audienceTimer');
+    timerEl.classList.remove('running', 'warning', 'danger', 'finished');
+    if (!state.timer) {
+        timerEl.textContent = '';
+    } else if (state.timer.isFinished) {
+        timerEl.textContent = 'TIME!';
+        timerEl.classList.add('finished');
+    } else {
+        const seconds = state.timer.remainingSeconds;
+        timerEl.textContent = formatTime(seconds);
+        if (state.timer.isRunning) {
+            timerEl.classList.add(state.timer.urgency || 'running');
+        }
+    }
 
-        // Second beep
-        setTimeout(() => {
-            const osc2 = audioContext.createOscillator();
-            osc2.connect(gainNode);
-            osc2.frequency.value = 800;
-            osc2.start();
-            setTimeout(() => osc2.stop(), 150);
-        }, 200);
-
-        // Third beep
-        setTimeout(() => {
-            const osc3 = audioContext.createOscillator();
-            osc3.connect(gainNode);
-            osc3.frequency.value = 1000;
-            osc3.start();
-            setTimeout(() => osc3.stop(), 300);
-        }, 400);
+    document.getElementById('audienceScores').innerHTML = state.scores.teams
+        .map(team => `
+            <div class="audience-team">
+                <span class="audience-team-name">${escapeHtml(team.name)}</span>
+                <span class="audience-team-score" style="color:${escapeHtml(team.color)};">${team.score}</span>
+            </div>
+        `)
+        .join('');
+
+    document.getElementById('audienceProgress').textContent =
+        `Round ${Math.min(state.progress.done + 1, state.progress.total)} of ${state.progress.total}`;
+}
 
-    } catch (e) {
-        // Web Audio not supported - fail silently
-        console.log('Audio not supported');
+/**
+ * Media for the audience: images once revealed, video muted (sound comes from the host)
+ * @param {Object} round - The audience round from buildAudienceState()
+ * @returns {string} Safe HTML
+ */
+function buildAudienceMediaHTML(round) {
+    const src = escapeHtml(round.resourceSrc);
+    switch (round.resourceType) {
+        case 'image':
+            if (src && round.reveal) {
+                return buildRevealFrameHTML({
+                    id: round.id,
+                    resourceSrc: round.resourceSrc,
+                    revealMode: round.reveal.mode,
+                    revealStep: round.reveal.step,
+                    revealSteps: round.reveal.steps
+                }, 'audience-image');
+            }
+            return src ? `<img src="${src}" alt="Round image" class="audience-image">` : '<div class="audience-badge">🖼️ Picture coming up…</div>';
+        case 'audio':
+            return '<div class="audience-badge">🎵 Listen closely…</div>';
+        case 'choice':
+            return round.choices.length > 0
+                ? buildChoiceListHTML(round.choices, round.correctChoice, round.correctChoice >= 0, null, 'audience-choices')
+                : '';
+        case 'video':
+            return `<video class="audience-video" src="${src}" muted playsinline preload="auto"></video>`;
+        default:
+            return '';
     }
 }
 
+/**
+ * Format seconds as MM:SS
+ * @param {number} seconds - Whole seconds
+ * @returns {string} e.g. "01:05"
+ */
+function formatTime(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
 
 // ==========================================
-// CHECKBOX / PROGRESS SYSTEM
+// STAGE VIEW
+// Full-screen view of the current round in the
+// host window: prompt, media, big timer, scores
 // ==========================================
 
 /**
- * Toggle the "done" state for a row
- * @param {number} rowId - The ID of the row
- * @param {HTMLInputElement} checkbox - The checkbox element
+ * Media key of what the stage shows, so audio/video elements
+ * are only rebuilt when the round or its visibility changes
  */
-function toggleDone(rowId, checkbox) {
-    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
-    if (!row) return;
-
-    if (checkbox.checked) {
-        // Mark as completed
-        row.classList.add('completed');
-
-        // Pause timer if running
-        pauseTimer(rowId);
+let stageMediaKey = '';
 
-        // Auto-scroll to next unchecked row
-        scrollToNextUnchecked(rowId);
-    } else {
-        // Unmark as completed
-        row.classList.remove('completed');
-    }
+/**
+ * Same idea for the award controls and the team scores, so the
+ * once-a-second timer redraw doesn't replace inputs and buttons in use
+ */
+let stageAwardKey = '';
+let stageScoresKey = '';
 
-    // Update progress bar
-    updateProgress();
+/**
+ * Muted-until-reveal state last applied to the stage video; the video is only
+ * (un)muted when this changes, so the host can still mute it by hand
+ */
+let stageClipMuted = null;
 
-    // Save state to LocalStorage
-    saveRoundsToStorage();
+/**
+ * Redraw everything that mirrors the table: the audience window and the stage view
+ */
+function refreshPresenterViews() {
+    broadcastAudienceState();
+    renderStageView();
 }
 
 /**
- * Scroll to the next unchecked row
- * @param {number} currentRowId - The ID of the current row
+ * @returns {boolean} True while the stage view is showing
  */
-function scrollToNextUnchecked(currentRowId) {
-    const allRows = document.querySelectorAll('.game-row');
-    let foundCurrent = false;
-
-    for (const row of allRows) {
-        const rowId = parseInt(row.dataset.rowId);
+function isStageOpen() {
+    const stage = document.getElementById('stageView');
+    return !!stage && stage.classList.contains('open');
+}
 
-        if (rowId === currentRowId) {
-            foundCurrent = true;
-            continue;
-        }
+/**
+ * Open the stage view on a row
+ * @param {number} rowId - Optional; defaults to the current round
+ */
+function openStageView(rowId) {
+    const stage = document.getElementById('stageView');
+    if (rowId !== undefined) setCurrentRound(rowId);
+
+    stageMediaKey = '';
+    stageAwardKey = '';
+    stageScoresKey = '';
+    stage.classList.add('open');
+    document.body.style.overflow = 'hidden';
+    renderStageView();
 
-        if (foundCurrent) {
-            const checkbox = row.querySelector('.done-checkbox');
-            if (!checkbox.checked) {
-                // Smooth scroll to this row
-                row.scrollIntoView({
-                    behavior: 'smooth',
-                    block: 'center'
-                });
+    if (stage.requestFullscreen) {
+        stage.requestFullscreen().catch(() => {});
+    }
+}
 
-                // Highlight briefly
-                row.style.outline = '2px solid #58a6ff';
-                setTimeout(() => {
-                    row.style.outline = 'none';
-                }, 2000);
+/**
+ * Close the stage view (and leave browser full-screen)
+ */
+function closeStageView() {
+    const stage = document.getElementById('stageView');
+    if (!stage.classList.contains('open')) return;
+
+    stage.classList.remove('open');
+    document.getElementById('stageMedia').innerHTML = '';
+    stageMediaKey = '';
+    if (!document.getElementById('imageModal').classList.contains('open')) {
+        document.body.style.overflow = '';
+    }
 
-                break;
-            }
-        }
+    if (document.fullscreenElement === stage) {
+        document.exitFullscreen().catch(() => {});
     }
 }
 
 /**
- * Update the progress bar based on completed rounds
+ * Draw the current round on the stage
  */
-function updateProgress() {
-    const allCheckboxes = document.querySelectorAll('.done-checkbox');
-    const checkedCount = document.querySelectorAll('.done-checkbox:checked').length;
-    const totalCount = allCheckboxes.length;
+function renderStageView() {
+    if (!isStageOpen()) return;
+
+    const row = getCurrentRoundRow();
+    const round = row ? readRoundFromRow(row) : null;
+
+    const allRows = [...document.querySelectorAll('.game-row')];
+    document.getElementById('stageGame').textContent = round
+        ? `${round.gameIcon} ${round.gameName}`
+        : '🎉 All rounds done!';
+    document.getElementById('stageProgress').textContent = round
+        ? `Round ${allRows.indexOf(row) + 1} of ${allRows.length}`
+        : '';
+
+    // ----- Prompt -----
+    const promptEl = document.getElementById('stagePrompt');
+    if (!round) {
+        promptEl.innerHTML = '';
+    } else if (round.promptStyle === 'spoiler') {
+        promptEl.innerHTML = `
+            <button class="btn btn-reveal" onclick="stageReveal('prompt')">${round.revealed.prompt ? 'Hide' : 'Reveal'} Question</button>
+            ${round.revealed.prompt ? `<div>${escapeHtml(round.promptText)}</div>` : ''}
+        `;
+    } else {
+        promptEl.innerHTML = buildPromptCellHTML(round);
+    }
 
-    const percentage = totalCount > 0 ? (checkedCount / totalCount) * 100 : 0;
+    // ----- Media -----
+    // Choice lists also change when the answer is revealed
+    const mediaKey = round
+        ? `${round.id}|${round.resourceType}|${round.resourceSrc}|${round.revealed.resource}|${round.resourceType === 'choice' && round.revealed.answer}`
+        : '';
+    if (mediaKey !== stageMediaKey) {
+        stageMediaKey = mediaKey;
+        stageClipMuted = null;
+        document.getElementById('stageMedia').innerHTML = round ? buildStageMediaHTML(round) : '';
+    }
+    const stageVideo = document.querySelector('#stageMedia video');
+    if (stageVideo && round.mutedUntilReveal && isClipMuted(round) !== stageClipMuted) {
+        stageClipMuted = isClipMuted(round);
+        stageVideo.muted = stageClipMuted;
+    }
 
-    const progressFill = document.getElementById('progressFill');
-    const progressText = document.getElementById('progressText');
+    // ----- Answer -----
+    document.getElementById('stageAnswer').innerHTML = round && round.answer
+        ? `
+            <button class="btn btn-reveal" onclick="stageReveal('answer')">${round.revealed.answer ? 'Hide' : 'Reveal'} Answer</button>
+            <span class="answer ${round.revealed.answer ? '' : 'hidden'}">${escapeHtml(round.answer)}</span>
+        `
+        : '';
+
+    // ----- Timer (mirrors the row's display) -----
+    const stageTimer = document.getElementById('stageTimer');
+    stageTimer.className = 'timer-display stage-timer-display';
+    document.getElementById('stageTimerControls').style.visibility = round ? 'visible' : 'hidden';
+    if (round) {
+        const rowDisplay = row.querySelector('.timer-display');
+        stageTimer.textContent = timers[round.id] ? rowDisplay.textContent : formatTime(getTimerSeconds(row));
+        ['running', 'warning', 'danger', 'finished'].forEach(cls => {
+            if (rowDisplay.classList.contains(cls)) stageTimer.classList.add(cls);
+        });
+    } else {
+        stageTimer.textContent = '';
+    }
 
-    progressFill.style.width = `${percentage}%`;
-    progressText.textContent = `${checkedCount} of ${totalCount} rounds completed`;
+    // ----- Award -----
+    const teamsKey = scoreboardState.teams.map(team => `${team.id}|${team.name}|${team.color}`).join('\n');
+    const awardKey = round ? `${round.id}|${round.points}|${JSON.stringify(round.award)}|${teamsKey}` : '';
+    if (awardKey !== stageAwardKey) {
+        stageAwardKey = awardKey;
+        document.getElementById('stageAward').innerHTML = round ? buildAwardHTML(round) : '';
+    }
 
-    // Celebration when all done!
-    if (checkedCount === totalCount && totalCount > 0) {
-        progressText.textContent = `🎉 All ${totalCount} rounds completed! Great game night! 🎉`;
-        celebrateCompletion();
+    // ----- Scores -----
+    const scoresKey = `${teamsKey}|${scoreboardState.teams.map(team => team.score).join(',')}`;
+    if (scoresKey !== stageScoresKey) {
+        stageScoresKey = scoresKey;
+        document.getElementById('stageScores').innerHTML = scoreboardState.teams
+            .map(team => `
+                <div class="stage-team">
+                    <span class="stage-team-name">${escapeHtml(team.name)}</span>
+                    <span class="stage-team-score" style="color:${escapeHtml(team.color)};">${team.score}</span>
+                    <div class="stage-team-buttons">
+                        <button class="btn btn-score" onclick="adjustScore('${escapeHtml(team.id)}', +1)" aria-label="${escapeHtml(team.name)} +1">+1</button>
+                        <button class="btn btn-score" onclick="adjustScore('${escapeHtml(team.id)}', -1)" aria-label="${escapeHtml(team.name)} -1">-1</button>
+                    </div>
+                </div>
+            `)
+            .join('');
     }
+
+    // ----- Navigation -----
+    document.getElementById('stagePrevBtn').disabled = !findStageNeighbour(row, -1);
+    document.getElementById('stageNextBtn').disabled = !findStageNeighbour(row, +1);
+    document.getElementById('stageDoneBtn').disabled = !round;
 }
 
 /**
- * Simple celebration animation when all rounds are complete
+ * Large media for the stage
+ * @param {Object} round - The round
+ * @returns {string} Safe HTML
  */
-function celebrateCompletion() {
-    const header = document.querySelector('.header');
-    header.style.background = 'linear-gradient(135deg, #2ea043, #3fb950)';
-
-    setTimeout(() => {
-        header.style.background = '';
-    }, 3000);
+function buildStageMediaHTML(round) {
+    const src = escapeHtml(resolveMediaSrc(round.resourceSrc));
+    switch (round.resourceType) {
+        case 'image':
+            if (isProgressiveReveal(round)) return buildProgressiveRevealHTML(round, 'stage-image');
+            return `
+                <button class="btn btn-reveal" onclick="stageReveal('resource')">${round.revealed.resource ? 'Hide' : 'Reveal'} Image</button>
+                ${round.revealed.resource ? `<img src="${src}" alt="Round image" class="stage-image">` : ''}
+            `;
+        case 'audio':
+            return buildSnippetPlayerHTML(round, 'stage-audio');
+        case 'choice':
+            return buildChoiceListHTML(round.choices, round.correctChoice, round.revealed.answer, null, 'stage-choices');
+        case 'video':
+            return `<video controls class="stage-video" src="${src}${buildClipFragment(round)}"${buildClipAttributes(round)}></video>`;
+        default:
+            return '';
+    }
 }
 
-
-// ==========================================
-// ADD NEW ROUND SYSTEM
-// Allows adding rounds from the browser
-// Automatically saves to LocalStorage
-// ==========================================
+/**
+ * Toggle a revealable part of the current round through its row,
+ * so the reveal is saved and mirrored to the audience window
+ * @param {string} part - 'prompt', 'resource' or 'answer'
+ */
+function stageReveal(part) {
+    const row = getCurrentRoundRow();
+    const content = row && row.querySelector(`[data-reveal="${part}"]`);
+    if (content && content.previousElementSibling) {
+        toggleReveal(content.previousElementSibling);
+    }
+}
 
 /**
- * Toggle the visibility of the add round form
+ * Run a timer action on the current round
+ * @param {string} action - 'start', 'pause' or 'reset'
  */
-function toggleAddRoundForm() {
-    const form = document.getElementById('addRoundForm');
-    const isVisible = form.style.display !== 'none';
-    form.style.display = isVisible ? 'none' : 'block';
+function stageTimerAction(action) {
+    const row = getCurrentRoundRow();
+    if (!row) return;
+
+    const rowId = parseInt(row.dataset.rowId);
+    if (action === 'start') startTimer(rowId);
+    if (action === 'pause') pauseTimer(rowId);
+    if (action === 'reset') resetTimer(rowId);
 }
 
 /**
- * Toggle the resource path input based on resource type
+ * Find the nearest unfinished row before or after a row
+ * @param {HTMLElement|null} row - Starting row (null = nothing current)
+ * @param {number} direction - -1 for previous, +1 for next
+ * @returns {HTMLElement|null} The row, or null if there is none
  */
-function toggleResourceInput() {
-    const resourceType = document.getElementById('newResourceType').value;
-    const pathGroup = document.getElementById('resourcePathGroup');
+function findStageNeighbour(row, direction) {
+    if (!row) return null;
 
-    // Show path input for audio, image, video; hide for text
-    if (resourceType === 'audio' || resourceType === 'image' || resourceType === 'video' || resourceType === 'answer') {
-        pathGroup.style.display = 'block';
+    let candidate = direction > 0 ? row.nextElementSibling : row.previousElementSibling;
+    while (candidate) {
+        if (candidate.classList.contains('game-row') && !candidate.querySelector('.done-checkbox').checked && !isRowFilteredOut(candidate)) {
+            return candidate;
+        }
+        candidate = direction > 0 ? candidate.nextElementSibling : candidate.previousElementSibling;
+    }
+    return null;
+}
 
-        // Update placeholder based on type
-        const pathInput = document.getElementById('newResourcePath');
-        if (resourceType === 'audio') pathInput.placeholder = 'e.g., audio/song.mp3';
-        if (resourceType === 'image') pathInput.placeholder = 'e.g., images/pic.jpg';
-        if (resourceType === 'video') pathInput.placeholder = 'e.g., videos/clip.mp4';
-        if (resourceType === 'answer') pathInput.placeholder = 'e.g., 2015';
-    } else {
-        pathGroup.style.display = 'none';
+/**
+ * Move the stage to the previous/next unfinished round
+ * @param {number} direction - -1 for previous, +1 for next
+ */
+function stageStep(direction) {
+    const next = findStageNeighbour(getCurrentRoundRow(), direction);
+    if (next) {
+        setCurrentRound(parseInt(next.dataset.rowId));
     }
 }
 
 /**
- * Add a new round to the table
+ * Mark the current round done; toggleDone() moves on to the next unchecked round
  */
-function addNewRound() {
-    // Get form values
-    const gameName = document.getElementById('newGameName').value.trim();
-    const gameIcon = document.getElementById('newGameIcon').value.trim() || '🎮';
-    const prompt = document.getElementById('newPrompt').value.trim();
-    const resourceType = document.getElementById('newResourceType').value;
-    const resourcePath = document.getElementById('newResourcePath').value.trim();
-    const timerMin = parseInt(document.getElementById('newTimerMin').value) || 0;
-    const timerSec = parseInt(document.getElementById('newTimerSec').value) || 0;
+function stageMarkDone() {
+    const row = getCurrentRoundRow();
+    if (!row) return;
 
-    // Validation
-    if (!gameName) {
-        alert('Please enter a game name.');
-        return;
-    }
-    if (!prompt) {
-        alert('Please enter a round/prompt.');
-        return;
-    }
+    const checkbox = row.querySelector('.done-checkbox');
+    checkbox.checked = true;
+    toggleDone(parseInt(row.dataset.rowId), checkbox);
+}
 
-    // Determine prompt HTML:
-    // - If the chosen icon is the question emoji, wrap the prompt in the spoiler UI (visible by default)
-    // - Otherwise, store escaped plain text (no reveal wrapper)
-    let promptHTML = '';
-    if (gameIcon === '❓') {
-        promptHTML = buildPromptHTML(prompt, false);
-    } else {
-        // store escaped plain text (keeps innerHTML safe)
-        promptHTML = escapeHtml(prompt);
-    }
 
-    // Generate resource HTML based on type (existing logic)...
-    let resourceHTML = '';
-    switch (resourceType) {
-        case 'audio':
-            resourceHTML = `
-                <div class="audio-container">
-                    <audio controls class="audio-player">
-                        <source src="${resourcePath}" type="audio/mpeg">
-                    </audio>
-                </div>
-            `;
-            break;
-        case 'image':
-            resourceHTML = `
-                <div class="spoiler-container">
-                    <button class="btn btn-reveal" onclick="toggleReveal(this)">Reveal Image</button>
-                    <div class="image-container hidden">
-                        <img 
-                            src="${resourcePath}" 
-                            alt="Round image" 
-                            class="thumbnail"
-                            onclick="openImageModal(this.src, 'Round image')"
-                            onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';"
-                        >
-                    </div>
-                </div>
-            `;
-            break;
-        case 'video':
-            resourceHTML = `
-                <div class="video-container">
-                    <video controls class="video-player">
-                        <source src="${resourcePath}" type="video/mp4">
-                        <span class="fallback-message">📹 Add video: ${resourcePath || 'videos/file.mp4'}</span>
-                    </video>
-                </div>
-            `;
-            break;
-        case 'answer':
-            // Use escaped answer text inside reveal UI
-            resourceHTML = `
-                <div class="spoiler-answer">
-                    <button class="btn btn-reveal" onclick="toggleReveal(this)">Reveal Answer</button>
-                    <span class="answer hidden">${escapeHtml(resourcePath)}</span>
-                </div>
-            `;
-            break;
-        default:
-            resourceHTML = '<span class="text-only-badge">📝 Text Only</span>';
-    }
+// ==========================================
+// SHOW MODE
+// Plays the table as a sequence: start the timer,
+// reveal the answer at TIME!, wait for scoring,
+// mark the round done and move on to the next one
+// ==========================================
 
-    // Create new row HTML (use promptHTML)
-    const rowId = nextRowId++;
-    const newRowHTML = `
-        <tr data-row-id="${rowId}" class="game-row">
-            <td class="game-name">
-                <span class="game-icon">${gameIcon}</span>
-                ${escapeHtml(gameName)}
-            </td>
-            <td class="round-prompt">
-                ${promptHTML}
-            </td>
-            <td class="resource-cell">
-                ${resourceHTML}
-            </td>
-            <td class="timer-cell">
-                <div class="timer-controls">
-                    <div class="timer-input-group">
-                        <input type="number" class="timer-input timer-min" value="${timerMin}" min="0" max="60" aria-label="Timer minutes">
-                        <span class="timer-label">m</span>
-                        <input type="number" class="timer-input timer-sec" value="${timerSec}" min="0" max="59" aria-label="Timer seconds">
-                        <span class="timer-label">s</span>
-                    </div>
-                    <div class="timer-display" id="timer-${rowId}">00:00</div>
-                    <div class="timer-buttons">
-                        <button class="btn btn-start" onclick="startTimer(${rowId})" aria-label="Start timer">▶️</button>
-                        <button class="btn btn-pause" onclick="pauseTimer(${rowId})" aria-label="Pause timer">⏸️</button>
-                        <button class="btn btn-reset" onclick="resetTimer(${rowId})" aria-label="Reset timer">🔄</button>
-                    </div>
-                </div>
-            </td>
-            <td class="done-cell">
-                <label class="checkbox-container">
-                    <input type="checkbox" class="done-checkbox" onchange="toggleDone(${rowId}, this)">
-                    <span class="checkmark">✓</span>
-                </label>
-            </td>
-            <td class="actions-cell">
-                <button class="btn btn-move" onclick="moveRowUp(${rowId})" aria-label="Move up">⬆️</button>
-                <button class="btn btn-move" onclick="moveRowDown(${rowId})" aria-label="Move down">⬇️</button>
-                <button class="btn btn-delete" onclick="deleteRow(${rowId})" aria-label="Delete round">🗑️</button>
-            </td>
-        </tr>
-    `;
+const SHOW_SETTINGS_STORAGE_KEY = 'gameNightShowSettings';
+
+// Pause between a round being marked done and the next one starting
+const SHOW_ADVANCE_DELAY_MS = 1500;
+
+/**
+ * phase: 'ready' (waiting for the host to start the round), 'playing'
+ * (timer running), 'scoring' (time is up, waiting for an award or Next)
+ * or 'advancing' (short pause before the next round)
+ */
+const showMode = {
+    active: false,
+    paused: false,
+    phase: 'ready',
+    rowId: null,
+    advanceTimeoutId: null,
+    settings: { autoStart: true, autoReveal: true }
+};
 
-    // Add to table
-    const tableBody = document.getElementById('tableBody');
-    tableBody.insertAdjacentHTML('beforeend', newRowHTML);
+function loadShowSettings() {
+    try {
+        const raw = localStorage.getItem(SHOW_SETTINGS_STORAGE_KEY);
+        if (raw) showMode.settings = { ...showMode.settings, ...JSON.parse(raw) };
+    } catch (e) {
+        console.warn('Could not load show settings from storage:', e);
+    }
+}
 
-    // Clear form and hide (same logic as before)
-    document.getElementById('newGameName').value = '';
-    document.getElementById('newPrompt').value = '';
-    document.getElementById('newResourcePath').value = '';
-    document.getElementById('newTimerMin').value = '1';
-    document.getElementById('newTimerSec').value = '0';
-    document.getElementById('newResourceType').value = 'text';
-    toggleResourceInput();
-    toggleAddRoundForm();
+function saveShowSettings() {
+    showMode.settings.autoStart = document.getElementById('showAutoStart').checked;
+    showMode.settings.autoReveal = document.getElementById('showAutoReveal').checked;
+    try {
+        localStorage.setItem(SHOW_SETTINGS_STORAGE_KEY, JSON.stringify(showMode.settings));
+    } catch (e) {
+        console.warn('Could not save show settings to storage:', e);
+    }
+}
 
-    // Update progress and save
-    updateProgress();
-    saveRoundsToStorage();
+/**
+ * Start the show from the current round (or the first unfinished one)
+ */
+function startShow() {
+    let row = getCurrentRoundRow();
+    if (row && row.querySelector('.done-checkbox').checked) {
+        const nextId = scrollToNextUnchecked(parseInt(row.dataset.rowId));
+        row = nextId !== null ? document.querySelector(`tr[data-row-id="${nextId}"]`) : null;
+    }
+    if (!row) {
+        alert('Every round is already done. Reset the rounds to run the show again.');
+        return;
+    }
 
-    // Scroll to new row visual feedback (same as before)
-    const newRow = document.querySelector(`tr[data-row-id="${rowId}"]`);
-    newRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    newRow.style.outline = '2px solid #3fb950';
-    setTimeout(() => {
-        newRow.style.outline = 'none';
-    }, 2000);
+    showMode.active = true;
+    showMode.paused = false;
+    document.getElementById('showAutoStart').checked = showMode.settings.autoStart;
+    document.getElementById('showAutoReveal').checked = showMode.settings.autoReveal;
+
+    // The first round always starts right away; the host pressed Run Show for it
+    playShowRound(parseInt(row.dataset.rowId), true);
+    console.log('✅ Show mode started');
+}
 
-    console.log(`✅ Added round "${gameName}" and saved to storage`);
+function stopShow() {
+    clearTimeout(showMode.advanceTimeoutId);
+    showMode.active = false;
+    showMode.paused = false;
+    showMode.rowId = null;
+    renderShowBar();
 }
 
 /**
- * Delete a row from the table
- * @param {number} rowId - The ID of the row to delete
+ * Make a row the show's round and start its timer (unless auto-start is off)
+ * @param {number} rowId - The ID of the row
+ * @param {boolean} startNow - Start even when auto-start is off
  */
-function deleteRow(rowId) {
-    if (!confirm('Delete this round?')) {
+function playShowRound(rowId, startNow = false) {
+    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+    if (!row) {
+        finishShow();
         return;
     }
 
-    // Stop timer if running
-    if (timers[rowId]) {
-        if (timers[rowId].intervalId) {
-            clearInterval(timers[rowId].intervalId);
-        }
-        delete timers[rowId];
-    }
+    showMode.rowId = rowId;
+    setCurrentRound(rowId);
 
-    // Remove row from DOM
-    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
-    if (row) {
-        row.remove();
+    if (startNow || showMode.settings.autoStart) {
+        startShowTimer();
+    } else {
+        showMode.phase = 'ready';
+        renderShowBar();
     }
+}
 
-    // Update progress
-    updateProgress();
-    updateGlobalTimerDisplay();
+/**
+ * Start the show round's timer; rounds without a time go straight to scoring
+ */
+function startShowTimer() {
+    if (!showMode.active) return;
 
-    // *** SAVE TO LocalStorage ***
-    saveRoundsToStorage();
+    const rowId = showMode.rowId;
+    startTimer(rowId);
+    showMode.phase = timers[rowId] && timers[rowId].isRunning ? 'playing' : 'scoring';
+    renderShowBar();
 }
 
+/**
+ * Called by timerFinished(): reveal the answer and wait for scoring
+ * @param {number} rowId - The ID of the row whose timer ran out
+ */
+function onShowTimerFinished(rowId) {
+    if (!showMode.active || rowId !== showMode.rowId) return;
 
-// ==========================================
-// ROW REORDERING SYSTEM
-// Move rows up or down in the table
-// ==========================================
+    if (showMode.settings.autoReveal) revealShowAnswer();
+    showMode.phase = 'scoring';
+    renderShowBar();
+}
+
+function revealShowAnswer() {
+    const row = document.querySelector(`tr[data-row-id="${showMode.rowId}"]`);
+    const answer = row && row.querySelector('[data-reveal="answer"]');
+    if (answer && answer.classList.contains('hidden') && answer.previousElementSibling) {
+        toggleReveal(answer.previousElementSibling);
+    }
+}
 
 /**
- * Move a row up in the table
- * @param {number} rowId - The ID of the row to move
+ * Called by awardRound(): the round is scored, so mark it done
+ * @param {number} rowId - The ID of the awarded row
  */
-function moveRowUp(rowId) {
-    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
+function onShowRoundAwarded(rowId) {
+    if (!showMode.active || rowId !== showMode.rowId) return;
+    if (showMode.settings.autoReveal) revealShowAnswer();
+    showNextRound();
+}
+
+/**
+ * Mark the show round done through toggleDone(); onShowRoundDone() takes it from there
+ */
+function showNextRound() {
+    const row = document.querySelector(`tr[data-row-id="${showMode.rowId}"]`);
     if (!row) return;
 
-    const previousRow = row.previousElementSibling;
+    const checkbox = row.querySelector('.done-checkbox');
+    checkbox.checked = true;
+    toggleDone(showMode.rowId, checkbox);
+}
 
-    // If there's no previous row, we're already at the top
-    if (!previousRow) {
-        console.log('Already at top');
+/**
+ * Called by toggleDone() when a row is ticked: queue up the next unchecked row,
+ * which toggleDone() has already scrolled to and made current
+ * @param {number} rowId - The ID of the row marked done
+ */
+function onShowRoundDone(rowId) {
+    if (!showMode.active || rowId !== showMode.rowId) return;
+
+    const nextId = currentRoundId !== rowId ? currentRoundId : null;
+    if (nextId === null) {
+        finishShow();
         return;
     }
 
-    // Move the row before its previous sibling
-    row.parentNode.insertBefore(row, previousRow);
-
-    // Visual feedback
-    row.style.outline = '2px solid #58a6ff';
-    setTimeout(() => {
-        row.style.outline = 'none';
-    }, 500);
+    showMode.rowId = nextId;
+    showMode.phase = 'advancing';
+    renderShowBar();
+    if (!showMode.paused) scheduleShowAdvance();
+}
 
-    // Save to LocalStorage
-    saveRoundsToStorage();
+function scheduleShowAdvance() {
+    clearTimeout(showMode.advanceTimeoutId);
+    showMode.advanceTimeoutId = setTimeout(() => {
+        showMode.advanceTimeoutId = null;
+        if (showMode.active && !showMode.paused) playShowRound(showMode.rowId);
+    }, SHOW_ADVANCE_DELAY_MS);
 }
 
 /**
- * Move a row down in the table
- * @param {number} rowId - The ID of the row to move
+ * Leave the show round unfinished and go to the next unchecked row
  */
-function moveRowDown(rowId) {
-    const row = document.querySelector(`tr[data-row-id="${rowId}"]`);
-    if (!row) return;
+function skipShowRound() {
+    if (!showMode.active) return;
 
-    const nextRow = row.nextElementSibling;
+    const rowId = showMode.rowId;
+    clearTimeout(showMode.advanceTimeoutId);
+    if (timers[rowId]) resetTimer(rowId);
 
-    // If there's no next row, we're already at the bottom
-    if (!nextRow) {
-        console.log('Already at bottom');
+    const nextId = scrollToNextUnchecked(rowId);
+    if (nextId === null) {
+        finishShow();
         return;
     }
+    showMode.paused = false;
+    playShowRound(nextId);
+}
 
-    // Move the row after its next sibling
-    row.parentNode.insertBefore(nextRow, row);
+/**
+ * Pause holds the timer and any pending advance; resume picks both back up
+ */
+function toggleShowPause() {
+    if (!showMode.active) return;
+
+    showMode.paused = !showMode.paused;
+    if (showMode.paused) {
+        clearTimeout(showMode.advanceTimeoutId);
+        if (showMode.phase === 'playing') pauseTimer(showMode.rowId);
+    } else if (showMode.phase === 'playing') {
+        startTimer(showMode.rowId);
+    } else if (showMode.phase === 'advancing') {
+        playShowRound(showMode.rowId);
+        return;
+    }
+    renderShowBar();
+}
 
-    // Visual feedback
-    row.style.outline = '2px solid #58a6ff';
-    setTimeout(() => {
-        row.style.outline = 'none';
-    }, 500);
+function finishShow() {
+    stopShow();
+    alert('🎉 That was the last round — show finished!');
+}
 
-    // Save to LocalStorage
-    saveRoundsToStorage();
+/**
+ * Redraw the show control bar
+ */
+function renderShowBar() {
+    const bar = document.getElementById('showBar');
+    if (!bar) return;
+
+    bar.classList.toggle('open', showMode.active);
+    if (!showMode.active) return;
+
+    const round = roundsById[showMode.rowId];
+    const rows = [...document.querySelectorAll('.game-row')];
+    const position = rows.findIndex(row => parseInt(row.dataset.rowId) === showMode.rowId) + 1;
+    const name = round ? `${round.gameIcon} ${round.gameName}` : '';
+
+    const phaseText = {
+        ready: 'Ready — press Start round',
+        playing: 'Playing',
+        scoring: 'Time! Award a team or press Next',
+        advancing: 'Up next…'
+    }[showMode.phase];
+
+    document.getElementById('showStatus').textContent =
+        `Round ${position}/${rows.length} · ${name} · ${showMode.paused ? 'Paused' : phaseText}`;
+
+    document.getElementById('showStartBtn').style.display = showMode.phase === 'ready' ? '' : 'none';
+    document.getElementById('showPauseBtn').textContent = showMode.paused ? '▶️ Resume' : '⏸️ Pause';
+    document.getElementById('showPauseBtn').disabled = showMode.phase === 'ready' || showMode.phase === 'scoring';
+    document.getElementById('showNextBtn').disabled = showMode.phase === 'advancing';
 }
 
 
 // ==========================================
-// IMAGE MODAL SYSTEM
+// KEYBOARD SHORTCUTS
 // ==========================================
 
 /**
- * Open the image modal with the specified image
- * @param {string} src - The image source URL
- * @param {string} caption - The image caption
+ * Single-key host shortcuts, remappable from the ? overlay
+ * Stored as { actionId: key } with key as in KeyboardEvent.key (letters lower case)
  */
-function openImageModal(src, caption) {
-    const modal = document.getElementById('imageModal');
-    const modalImage = document.getElementById('modalImage');
-    const modalCaption = document.getElementById('modalCaption');
+const SHORTCUTS_STORAGE_KEY = 'gameNightShortcuts';
 
-    modalImage.src = src;
-    modalCaption.textContent = caption || '';
-    modal.classList.add('open');
+/**
+ * Everything a shortcut can do; "the round" is the current round
+ * (the one shown on stage and to the audience)
+ */
+const SHORTCUT_ACTIONS = [
+    { id: 'timer', label: 'Start / pause the round\'s timer', key: ' ', run: shortcutToggleTimer },
+    { id: 'reveal', label: 'Reveal the next hidden part of the round', key: 'r', run: shortcutReveal },
+    { id: 'play', label: 'Play / pause the round\'s audio clip', key: 'p', run: shortcutPlaySnippet },
+    { id: 'done', label: 'Mark the round done / not done', key: 'd', run: shortcutToggleDone },
+    { id: 'next', label: 'Next round', key: 'ArrowDown', run: () => shortcutMoveRound(+1) },
+    { id: 'previous', label: 'Previous round', key: 'ArrowUp', run: () => shortcutMoveRound(-1) },
+    ...TEAM_COLORS.map((color, index) => ({
+        id: `team${index + 1}`,
+        label: `+1 for team ${index + 1}`,
+        key: String(index + 1),
+        run: () => shortcutScore(index)
+    })),
+    { id: 'undo', label: 'Undo the last score change', key: 'z', run: undoScoreChange },
+    { id: 'help', label: 'Show this list', key: '?', run: toggleShortcutsOverlay }
+];
 
-    // Prevent body scroll
-    document.body.style.overflow = 'hidden';
+/**
+ * Current bindings: { actionId: key } ('' = unbound)
+ */
+let shortcutBindings = {};
+
+/**
+ * Action waiting for its new key in the overlay, or null
+ */
+let shortcutCaptureId = null;
+
+function defaultShortcutBindings() {
+    return Object.fromEntries(SHORTCUT_ACTIONS.map(action => [action.id, action.key]));
+}
+
+function loadShortcutBindings() {
+    shortcutBindings = defaultShortcutBindings();
+    try {
+        const saved = JSON.parse(localStorage.getItem(SHORTCUTS_STORAGE_KEY) || 'null');
+        if (saved && typeof saved === 'object') {
+            Object.keys(shortcutBindings).forEach(id => {
+                if (typeof saved[id] === 'string') shortcutBindings[id] = saved[id];
+            });
+        }
+    } catch (e) {
+        console.warn('Could not load keyboard shortcuts:', e);
+    }
+}
+
+function saveShortcutBindings() {
+    try {
+        localStorage.setItem(SHORTCUTS_STORAGE_KEY, JSON.stringify(shortcutBindings));
+    } catch (e) {
+        console.warn('Could not save keyboard shortcuts:', e);
+    }
 }
 
 /**
- * Close the image modal
- * @param {Event} event - Optional click event
+ * Key as stored in the bindings: single letters are case-insensitive
+ * @param {string} key - KeyboardEvent.key
  */
-function closeImageModal(event) {
-    // If clicking on the image itself, don't close
-    if (event && event.target.id === 'modalImage') {
+function normalizeShortcutKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Readable name of a key for the overlay
+ * @param {string} key - Stored key
+ */
+function describeShortcutKey(key) {
+    const names = { ' ': 'Space', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+    if (!key) return '—';
+    return names[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+/**
+ * Run the action bound to a key press, if any
+ * @param {KeyboardEvent} event
+ * @returns {boolean} True if a shortcut handled the key
+ */
+function handleHostShortcut(event) {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return false;
+    if (event.target.closest('input, select, textarea, [contenteditable="true"]')) return false;
+    // Space and Enter on a focused button press that button
+    if ((event.key === ' ' || event.key === 'Enter') && event.target.closest('button')) return false;
+    // A focused player (table or stage) keeps its own keys: Space plays/pauses, arrows seek
+    if (event.target.closest('video, audio')) return false;
+    if (rowDrag || isMediaPickerOpen()) return false;
+
+    const key = normalizeShortcutKey(event.key);
+    const action = SHORTCUT_ACTIONS.find(item => shortcutBindings[item.id] === key);
+    if (!action) return false;
+    if (isShortcutsOverlayOpen() && action.id !== 'help') return false;
+
+    // Round navigation only takes over the arrow keys once a round is picked or the
+    // table has focus; before that they still scroll the page
+    if ((action.id === 'next' || action.id === 'previous') && key.startsWith('Arrow') &&
+        currentRoundId === null && !event.target.closest('#tableBody')) {
+        return false;
+    }
+
+    event.preventDefault();
+    action.run();
+    return true;
+}
+
+function shortcutToggleTimer() {
+    const row = getCurrentRoundRow();
+    if (!row) return;
+
+    const rowId = parseInt(row.dataset.rowId);
+    if (timers[rowId] && timers[rowId].isRunning) {
+        pauseTimer(rowId);
+    } else {
+        startTimer(rowId);
+    }
+}
+
+/**
+ * Reveal prompt, then media (a step at a time for progressive images), then answer
+ */
+function shortcutReveal() {
+    const row = getCurrentRoundRow();
+    const round = row && roundsById[row.dataset.rowId];
+
+    // Progressive images go one step at a time once the prompt is showing
+    if (round && isProgressiveReveal(round) && round.revealStep < round.revealSteps &&
+        !row.querySelector('[data-reveal="prompt"].hidden')) {
+        changeRevealStep(round.id, 1);
         return;
     }
 
-    const modal = document.getElementById('imageModal');
-    modal.classList.remove('open');
+    const hidden = row && ['prompt', 'resource', 'answer']
+        .map(part => row.querySelector(`[data-reveal="${part}"].hidden`))
+        .find(Boolean);
+    if (hidden && hidden.previousElementSibling) {
+        toggleReveal(hidden.previousElementSibling);
+    }
+}
+
+function shortcutPlaySnippet() {
+    const row = getCurrentRoundRow();
+    const button = row && row.querySelector('.btn-snippet-play');
+    if (button) toggleSnippet(button);
+}
+
+function shortcutToggleDone() {
+    const row = getCurrentRoundRow();
+    if (!row) return;
 
-    // Restore body scroll
-    document.body.style.overflow = '';
+    const rowId = parseInt(row.dataset.rowId);
+    const checkbox = row.querySelector('.done-checkbox');
+    checkbox.checked = !checkbox.checked;
+    // Keep the round current when un-checking so D twice is a no-op
+    if (!checkbox.checked) setCurrentRound(rowId);
+    toggleDone(rowId, checkbox);
 }
 
 /**
- * Show message when image placeholder is clicked
+ * Make the previous/next visible row current, done or not
+ * @param {number} direction - -1 for previous, +1 for next
  */
-function showImageMessage() {
-    alert('To add an image:\n\n1. Save your image file\n2. Place it in the "images" folder\n3. Update the src attribute in index.html\n\nExample: images/actor-eyes.jpg');
+function shortcutMoveRound(direction) {
+    const rows = getGameRows().filter(row => !isRowFilteredOut(row));
+    if (rows.length === 0) return;
+
+    const index = rows.indexOf(getCurrentRoundRow());
+    const target = index < 0 ? rows[0] : rows[index + direction];
+    if (!target) return;
+
+    setCurrentRound(parseInt(target.dataset.rowId));
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
 }
 
+/**
+ * +1 for a team by position, tied to the current round so it shows in the history
+ * @param {number} index - Team position (0 = first)
+ */
+function shortcutScore(index) {
+    const team = scoreboardState.teams[index];
+    if (!team) return;
 
-// ==========================================
-// ANSWER REVEAL SYSTEM
-// ==========================================
+    const row = getCurrentRoundRow();
+    adjustScore(team.id, +1, row ? parseInt(row.dataset.rowId) : null);
+}
+
+function isShortcutsOverlayOpen() {
+    return document.getElementById('shortcutsOverlay').classList.contains('open');
+}
+
+function toggleShortcutsOverlay() {
+    const overlay = document.getElementById('shortcutsOverlay');
+    shortcutCaptureId = null;
+    overlay.classList.toggle('open');
+    if (overlay.classList.contains('open')) renderShortcutsOverlay();
+}
 
 /**
- * Reveal/Hide hidden content (answers, questions, etc.)
- * @param {HTMLButtonElement} button - The reveal button
+ * Redraw the list of bindings
  */
-function toggleReveal(button) {
-    const content = button.nextElementSibling;
-    const isHidden = content.classList.contains('hidden');
+function renderShortcutsOverlay() {
+    document.getElementById('shortcutsList').innerHTML = SHORTCUT_ACTIONS
+        .filter(action => !action.id.startsWith('team') || parseInt(action.id.slice(4)) <= scoreboardState.teams.length)
+        .map(action => {
+            const team = action.id.startsWith('team') ? scoreboardState.teams[parseInt(action.id.slice(4)) - 1] : null;
+            const label = team ? `+1 for ${team.name}` : action.label;
+            const capturing = shortcutCaptureId === action.id;
+            return `
+                <tr>
+                    <td><kbd class="shortcut-key">${capturing ? 'Press a key…' : escapeHtml(describeShortcutKey(shortcutBindings[action.id]))}</kbd></td>
+                    <td>${escapeHtml(label)}</td>
+                    <td>
+                        <button class="btn btn-reset" onclick="captureShortcut('${action.id}')">${capturing ? 'Cancel' : 'Change'}</button>
+                        <button class="btn btn-reset" onclick="setShortcut('${action.id}', '')" aria-label="Remove shortcut">✖️</button>
+                    </td>
+                </tr>
+            `;
+        })
+        .join('');
+}
 
-    // Toggle visibility
-    content.classList.toggle('hidden');
+/**
+ * Wait for the next key press and bind it to an action
+ * @param {string} actionId - Action to rebind
+ */
+function captureShortcut(actionId) {
+    shortcutCaptureId = shortcutCaptureId === actionId ? null : actionId;
+    renderShortcutsOverlay();
+}
 
-    // Toggle button text (Reveal X <-> Hide X)
-    const currentText = button.textContent;
-    if (isHidden) {
-        // Was hidden, now visible -> Change "Reveal" to "Hide"
-        button.textContent = currentText.replace('Reveal', 'Hide');
+/**
+ * Keydown while capturing: Escape cancels, anything else becomes the binding
+ * @param {KeyboardEvent} event
+ * @returns {boolean} True if the key was used for capturing
+ */
+function handleShortcutCapture(event) {
+    if (!shortcutCaptureId) return false;
+    if (['Shift', 'Control', 'Alt', 'Meta', 'Tab'].includes(event.key)) return false;
+
+    event.preventDefault();
+    event.stopPropagation();
+    const actionId = shortcutCaptureId;
+    shortcutCaptureId = null;
+    if (event.key === 'Escape') {
+        renderShortcutsOverlay();
     } else {
-        // Was visible, now hidden -> Change "Hide" to "Reveal"
-        button.textContent = currentText.replace('Hide', 'Reveal');
+        setShortcut(actionId, normalizeShortcutKey(event.key));
     }
+    return true;
 }
 
+/**
+ * Bind a key to an action; the key is taken away from any other action
+ * @param {string} actionId - Action to rebind
+ * @param {string} key - Stored key ('' to unbind)
+ */
+function setShortcut(actionId, key) {
+    if (key) {
+        Object.keys(shortcutBindings).forEach(id => {
+            if (shortcutBindings[id] === key) shortcutBindings[id] = '';
+        });
+    }
+    shortcutBindings[actionId] = key;
+    saveShortcutBindings();
+    renderShortcutsOverlay();
+}
 
-// ==========================================
-// KEYBOARD SHORTCUTS
-// ==========================================
+function resetShortcuts() {
+    shortcutBindings = defaultShortcutBindings();
+    shortcutCaptureId = null;
+    saveShortcutBindings();
+    renderShortcutsOverlay();
+}
 
 document.addEventListener('keydown', function (event) {
-    // Escape key closes modal
+    if (isAudienceView()) return;
+    if (handleShortcutCapture(event)) return;
+
+    // Escape key closes modal (and the stage view once the modal is gone)
     if (event.key === 'Escape') {
-        closeImageModal();
+        if (isShortcutsOverlayOpen()) {
+            toggleShortcutsOverlay();
+        } else if (isMediaPickerOpen()) {
+            closeMediaPicker();
+        } else if (document.getElementById('imageModal').classList.contains('open')) {
+            closeImageModal();
+        } else {
+            closeStageView();
+        }
+    }
+
+    // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) undo and redo score changes outside text fields
+    if ((event.ctrlKey || event.metaKey) && !event.target.closest('input, select, textarea')) {
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            undoScoreChange();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            redoScoreChange();
+        }
+    }
+
+    // Arrow keys walk the stage view through unfinished rounds
+    if (isStageOpen() && !event.target.closest('input, select, textarea')) {
+        if (event.key === 'ArrowRight') stageStep(+1);
+        if (event.key === 'ArrowLeft') stageStep(-1);
     }
+
+    handleHostShortcut(event);
 });
 
 
@@ -1198,25 +6752,61 @@ document.addEventListener('keydown', function (event) {
  * Initialize the app when DOM is ready
  */
 document.addEventListener('DOMContentLoaded', function () {
+    // The audience window only listens to the host
+    if (isAudienceView()) {
+        initAudienceView();
+        return;
+    }
+
     console.log('🎮 Family Game Night Hub loaded!');
 
+    // Pick the active playlist, then upgrade its saved data before reading it
+    loadPlaylistIndex();
+    renderPlaylistSelect();
+    runStorageMigrations();
+    initSoundSettings();
+    loadShowSettings();
+    loadRoundBank();
+    loadPlayHistory();
+    loadTableView();
+    loadShortcutBindings();
+
     // *** Load saved rounds from LocalStorage ***
     const loadedFromStorage = loadRoundsFromStorage();
 
     if (!loadedFromStorage) {
-        // If no saved data, find the highest existing row ID from HTML
-        const allRows = document.querySelectorAll('.game-row');
-        let maxId = 0;
-        allRows.forEach(row => {
-            const id = parseInt(row.dataset.rowId);
-            if (id > maxId) maxId = id;
-        });
-        nextRowId = maxId + 1;
+        // If no saved data, read the default rows from HTML and redraw them
+        // through the renderer so every row has round data behind it
+        renderRoundsIntoTable(collectRoundsFromTable());
     }
 
     // Initialize progress bar
     updateProgress();
     initScoreboard();
+    initPlayHistory();
+    refreshGroupMarkers();
+
+    // Pick up timers that were running before a reload, and catch up after a throttled tab
+    restoreTimers();
+    loadStoredMedia();
+    document.addEventListener('visibilitychange', function () {
+        if (!document.hidden) {
+            Object.keys(timers).forEach(rowId => tickTimer(parseInt(rowId)));
+        }
+    });
+
+    // Listen from the start so an audience window left open across a reload
+    // gets an answer to its hello (and is refreshed right away)
+    getAudienceChannel();
+    broadcastAudienceState();
+
+    // Forward video playback in the table to the audience window
+    const tableBody = document.getElementById('tableBody');
+    ['play', 'pause', 'seeked'].forEach(type => tableBody.addEventListener(type, relayMediaEvent, true));
+
+    // Keep trimmed clips between their start and end points (media events don't bubble)
+    ['loadedmetadata', 'play', 'timeupdate'].forEach(type => document.addEventListener(type, enforceMediaClip, true));
+    ['play', 'pause', 'ended'].forEach(type => document.addEventListener(type, syncSnippetButton, true));
 
     // Add visual feedback to table rows on hover
     const rows = document.querySelectorAll('.game-row');
@@ -1272,6 +6862,7 @@ function resetAllRounds() {
     // Reset all timers
     document.querySelectorAll('.game-row').forEach(row => {
         const rowId = parseInt(row.dataset.rowId);
+        resetRevealStep(rowId);
         resetTimer(rowId);
 
         // Uncheck checkbox